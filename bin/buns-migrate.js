@@ -1,60 +1,260 @@
 #!/usr/bin/env node
-import "dotenv/config.js";
+import path from "path";
+import dotenv from "dotenv";
 import { Command } from "commander";
 import chalk from "chalk";
-import { migrateUp, migrateDown, createMigration } from "../src/index.js";
 import { resolveModelsPath } from "../src/utils/resolveModelsPath.js";
-import { inspectdb } from "../src/utils/introspect.js";
+import { MigrationCancelledError } from "../src/utils/errors.js";
+import {
+  configure,
+  loadConfigFile,
+  resolveConfig,
+  resolveLockTimeout,
+} from "../src/utils/config.js";
 
 const program = new Command();
 
+// Anything that talks to the database is imported on first use, so --help,
+// --version and `create --empty` work without the driver
+const commands = () => import("../src/index.js");
+
+// Only `create` diffs the models file; `--empty` and every other command
+// work from migration files and the history table (so does the Migrator API)
+function readsModels(command) {
+  return command.name() === "create" && !command.opts().empty;
+}
+
+// Shared by every command that changes migrations or the database
+function addLockOptions(command) {
+  return command
+    .option(
+      "--no-lock",
+      "Skip the migration lock (only if nothing else can run)"
+    )
+    .option(
+      "--lock-timeout <seconds>",
+      "Seconds to wait for another migration to release the lock (default: 60, or BUNS_MIGRATE_LOCK_TIMEOUT)"
+    );
+}
+
+function lockOptions(options) {
+  return {
+    lock: options.lock,
+    lockTimeout: resolveLockTimeout(options.lockTimeout),
+  };
+}
+
 (async () => {
   try {
-    const modelsPath = await resolveModelsPath();
-    console.log(chalk.cyan(`📦 Models file detected at: ${modelsPath}`));
-
     program
       .name("buns-migrate")
       .description("SQL-Buns migration CLI")
-      .version("1.0.0");
+      .version("1.0.0")
+      .option(
+        "--cwd <dir>",
+        "Project root that config, models and migrations paths resolve against"
+      )
+      .option(
+        "--config <file>",
+        "Config file to use instead of buns-migrate.config.js"
+      )
+      .hook("preAction", async (_program, actionCommand) => {
+        const { cwd, config } = program.opts();
+        configure({ cwd });
+        // .env sits in the project root too, which --cwd may point elsewhere
+        dotenv.config({
+          path: path.join(resolveConfig().root, ".env"),
+          quiet: true,
+        });
+        await loadConfigFile({ cwd, configFile: config });
+
+        if (!readsModels(actionCommand)) return;
+        const modelsPath = await resolveModelsPath();
+        // Keep stdout machine-readable when JSON output is requested
+        if (!process.argv.includes("--json")) {
+          console.log(
+            chalk.cyan(`📦 Models file detected at: ${modelsPath}`)
+          );
+        }
+      });
+
+    program
+      .command("init")
+      .description(
+        "Create the migration history table (otherwise created by the first up/migrate)"
+      )
+      .action(async () => {
+        const { ensureHistoryTable } = await import(
+          "../src/utils/bootstrap.js"
+        );
+        const historyTable = await ensureHistoryTable();
+        console.log(
+          chalk.green(`✅ Migration history table ready: ${historyTable}`)
+        );
+      });
 
     program
       .command("inspectdb")
       .description("Introspects existing DB and writes models/index.js")
       .action(async () => {
+        const { inspectdb } = await import("../src/utils/introspect.js");
         await inspectdb();
         console.log(chalk.green(`✅ Completed successfully`));
       });
 
-    program
-      .command("create <name>")
+    addLockOptions(program.command("create <name>"))
       .description("Create a new migration file")
-      .action(async (name) => {
+      .option(
+        "--empty",
+        "Write a hand-written SQL/JS migration pair without diffing models"
+      )
+      .option(
+        "--stack",
+        "Allow creating a migration while others are still unapplied locally"
+      )
+      .option("-y, --yes", "Answer yes to every rename and rebuild prompt")
+      .option(
+        "--no-input",
+        "Never prompt; fail on any question not answered by --yes or --renames"
+      )
+      .option(
+        "--renames <renames>",
+        "Comma-separated column renames, e.g. users.phone:mobile (users.phone: means not a rename)",
+        (value, previous) => previous.concat(value.split(",")),
+        []
+      )
+      .option(
+        "--renames-file <file>",
+        'JSON file of renames, e.g. { "users": { "phone": "mobile" } }'
+      )
+      .action(async (name, options) => {
         name = String(name).toLowerCase();
-        await createMigration(name);
+        if (options.empty) {
+          const { createEmptyMigration } = await import(
+            "../src/utils/emptyMigration.js"
+          );
+          await createEmptyMigration(name);
+          return;
+        }
+        const { createMigration } = await commands();
+        await createMigration(name, {
+          stack: options.stack || false,
+          assumeYes: options.yes || false,
+          interactive: options.input,
+          renames: options.renames,
+          renamesFile: options.renamesFile || null,
+          ...lockOptions(options),
+        });
       });
 
-    program
-      .command("up")
+    addLockOptions(program.command("up"))
       .description("Run all pending migrations")
       .option(
         "--include-initial",
         "Run migration along with any inital inspectdb migration file(s) available"
       )
+      .option(
+        "--dry-run",
+        "Print the SQL of pending migrations without executing it"
+      )
+      .option(
+        "--sql-out <file>",
+        "Write the SQL of pending migrations to a file without executing it"
+      )
+      .option(
+        "--resume",
+        "MySQL: continue a migration that failed after committing some statements"
+      )
       .action(async (options) => {
-        await migrateUp({ includeInitial: options.includeInitial || false });
+        const { migrateUp } = await commands();
+        await migrateUp({
+          includeInitial: options.includeInitial || false,
+          dryRun: options.dryRun || false,
+          sqlOut: options.sqlOut || null,
+          resume: options.resume || false,
+          ...lockOptions(options),
+        });
       });
 
-    program
-      .command("down")
+    addLockOptions(program.command("down"))
       .alias("rollback")
       .description("Revert the last migration")
+      .option(
+        "--steps <n>",
+        "Number of migrations to revert, newest first",
+        "1"
+      )
+      .option("--all", "Revert every applied migration")
+      .action(async (options) => {
+        const { migrateDown } = await commands();
+        await migrateDown({
+          steps: Number(options.steps),
+          all: options.all || false,
+          ...lockOptions(options),
+        });
+      });
+
+    addLockOptions(program.command("migrate"))
+      .description(
+        "Apply or roll back migrations until the database is at a target migration"
+      )
+      .requiredOption(
+        "--to <migration>",
+        "Target migration name or timestamp (e.g. 1761989419189 or 1761989419189_new)"
+      )
+      .option(
+        "--include-initial",
+        "Run migration along with any inital inspectdb migration file(s) available"
+      )
+      .action(async (options) => {
+        const { migrateTo } = await commands();
+        await migrateTo(options.to, {
+          includeInitial: options.includeInitial || false,
+          ...lockOptions(options),
+        });
+      });
+
+    program
+      .command("unlock")
+      .description(
+        "Release a stale migration lock left behind by a crashed or killed run"
+      )
       .action(async () => {
-        await migrateDown();
+        const { unlockMigrations } = await import("../src/utils/lock.js");
+        await unlockMigrations();
+      });
+
+    program
+      .command("status")
+      .description(
+        "Show applied, pending and rolled-back migrations without changing anything"
+      )
+      .option("--json", "Print the status as JSON")
+      .action(async (options) => {
+        const { migrationStatus } = await commands();
+        await migrationStatus({ json: options.json || false });
+      });
+
+    program
+      .command("verify")
+      .description(
+        "Check applied migration files for edits on disk or missing files"
+      )
+      .option("--json", "Print the verification result as JSON")
+      .action(async (options) => {
+        const { verifyMigrations } = await commands();
+        const { valid } = await verifyMigrations({
+          json: options.json || false,
+        });
+        if (!valid) process.exitCode = 1;
       });
 
-    program.parse(process.argv);
+    await program.parseAsync(process.argv);
   } catch (err) {
+    if (err instanceof MigrationCancelledError) {
+      console.log(chalk.yellow(`🚫 ${err.message}`));
+      process.exit(0);
+    }
     console.error(chalk.red("❌ Migration Error:"), err.message);
     process.exit(1);
   }
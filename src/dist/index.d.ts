@@ -57,8 +57,18 @@ declare module "@anclatechs/sql-buns-migrate" {
     /** (Optional) Secondary key for many-to-many relations. */
     otherKey?: string;
 
-    /** (Optional) Intermediate table used for many-to-many relations. */
-    through?: string;
+    /**
+     * (Optional) Intermediate table used for many-to-many relations. Either
+     * a table name or a model from `defineModel`, whose fields become extra
+     * columns of the join table.
+     */
+    through?: string | Model<any>;
+
+    /** (Optional) many-to-many: what deleting either side does to the join rows. */
+    onDelete?: ReferentialAction;
+
+    /** (Optional) many-to-many: what updating either key does to the join rows. */
+    onUpdate?: ReferentialAction;
   }
 
   /**
@@ -90,6 +100,24 @@ declare module "@anclatechs/sql-buns-migrate" {
     name?: string;
   }
 
+  /**
+   * Named CHECK constraint. The expression is raw SQL.
+   *
+   * Example:
+   * ```ts
+   * checks: [{ name: "chk_events_window", expression: "end_at > start_at" }]
+   * ```
+   */
+  export interface CheckDefinition {
+    name: string;
+    expression: string;
+  }
+
+  export interface UniqueTogetherDefinition {
+    fields: string[];
+    name?: string;
+  }
+
   export interface ModelMeta {
     /** Custom table name override */
     tableName?: string;
@@ -102,6 +130,21 @@ declare module "@anclatechs/sql-buns-migrate" {
 
     /** Index definitions */
     indexes?: IndexDefinition[];
+
+    /** Table-level CHECK constraints */
+    checks?: CheckDefinition[];
+
+    /**
+     * Composite UNIQUE constraints, as a list of fields or `{ fields, name }`.
+     * Named `uq_<table>_<field>_<field>...` by default.
+     */
+    uniqueTogether?: (string[] | UniqueTogetherDefinition)[];
+
+    /**
+     * Previous table name. The next migration renames the table
+     * instead of dropping and recreating it.
+     */
+    renamedFrom?: string;
   }
 
   /**
@@ -118,8 +161,11 @@ declare module "@anclatechs/sql-buns-migrate" {
     /** Default value assigned if none is provided. */
     default?: any;
 
-    /** Ensures all values in this column are unique. */
-    unique?: boolean;
+    /**
+     * Ensures all values in this column are unique. Created as
+     * `uq_<table>_<column>`, or pass the constraint name instead of `true`.
+     */
+    unique?: boolean | string;
 
     /** Marks this field as the primary key. */
     primaryKey?: boolean;
@@ -141,6 +187,55 @@ declare module "@anclatechs/sql-buns-migrate" {
 
     /** Developer help text (not stored in DB; for documentation only). */
     helpText?: string;
+
+    /** Previous column name. Generates a RENAME COLUMN without prompting. */
+    renamedFrom?: string;
+
+    /** Makes this column a foreign key. */
+    references?: ForeignKeyReference;
+
+    /** CHECK expression (raw SQL), created as `chk_<table>_<column>`. */
+    check?: string;
+  }
+
+  /** What a referenced row's delete/update does to this row. */
+  export type ReferentialAction =
+    | "CASCADE"
+    | "SET NULL"
+    | "SET DEFAULT"
+    | "RESTRICT"
+    | "NO ACTION";
+
+  /**
+   * Field-level foreign key.
+   *
+   * @example
+   * ```ts
+   * author_id: {
+   *   type: Fields.IntegerField,
+   *   references: { model: "users", onDelete: "CASCADE" },
+   * }
+   * ```
+   */
+  export interface ForeignKeyReference {
+    /** Referenced model or table name. */
+    model: string;
+
+    /** Referenced column. Defaults to `"id"`. */
+    column?: string;
+
+    onDelete?: ReferentialAction;
+
+    onUpdate?: ReferentialAction;
+
+    /**
+     * Postgres/SQLite only. `true` or `"deferred"` checks the constraint at
+     * commit, `"immediate"` makes it deferrable but checked per statement.
+     */
+    deferrable?: boolean | "deferred" | "immediate";
+
+    /** Constraint name. Defaults to `fk_<table>_<column>`. */
+    name?: string;
   }
 
   /**
@@ -179,6 +274,11 @@ declare module "@anclatechs/sql-buns-migrate" {
      * Not stored in database or migration snapshots.
      */
     helpText?: string;
+
+    /**
+     * Previous column name. Generates a RENAME COLUMN without prompting.
+     */
+    renamedFrom?: string;
   }
 
   /**
@@ -413,4 +513,218 @@ export function defineModel<
     JsonField: (options?: Partial<FieldDefinition>) => FieldDefinition;
     XmlField: (options?: Partial<FieldDefinition>) => FieldDefinition;
   };
+
+  // PROGRAMMATIC API
+
+  /** Receives the same output the CLI prints. */
+  export interface MigratorLogger {
+    log(...args: any[]): void;
+    info?(...args: any[]): void;
+    warn(...args: any[]): void;
+    error(...args: any[]): void;
+  }
+
+  export interface MigratorConfig {
+    /** Project root that relative paths resolve against. Defaults to `process.cwd()`. */
+    cwd?: string;
+
+    /** Config file to load instead of `<cwd>/buns-migrate.config.js`. */
+    configFile?: string;
+
+    /**
+     * Each path defaults to the config file, then package.json `sqlBuns`,
+     * then `database/migrations`, `<migrationsDir>/schema_snapshot.json`
+     * and `database/models/index.js`.
+     */
+    migrationsDir?: string;
+    snapshotFile?: string;
+    modelsPath?: string;
+
+    /** History table name. Defaults to `_sqlbuns_migrations`. */
+    historyTable?: string;
+
+    /** Postgres schema / MySQL database holding the history table. Not supported on SQLite. */
+    historySchema?: string;
+
+    /**
+     * Sets `DATABASE_ENGINE`; defaults to the current environment. It is
+     * read once per process, so a later Migrator with a different engine
+     * throws `ConfigError`.
+     */
+    engine?: "postgres" | "mysql" | "sqlite";
+
+    /** Output target. Silent when omitted; pass `console` for CLI-style output. */
+    logger?: MigratorLogger | null;
+
+    /** Take the migration lock around up/down/create. Defaults to `true`. */
+    lock?: boolean;
+
+    /**
+     * Seconds to wait for the lock, 0 or more (0 doesn't wait). Defaults to
+     * `BUNS_MIGRATE_LOCK_TIMEOUT`, then 60.
+     */
+    lockTimeout?: number;
+  }
+
+  export interface SqlStatement {
+    /** 1-based position in the file. */
+    index: number;
+    /** Line the statement starts on. */
+    line: number;
+    text: string;
+  }
+
+  export type MigrationState = "applied" | "pending" | "rolled_back" | "partial";
+
+  export interface MigrationStatusEntry {
+    name: string;
+    state: MigrationState;
+    fileExists: boolean;
+    appliedAt: string | null;
+    rolledBackAt: string | null;
+    /** `null` for rows recorded before these columns existed. */
+    executionMs: number | null;
+    appliedBy: string | null;
+    checksumMatch: boolean | null;
+    /** MySQL only, when `state` is `"partial"`. */
+    statementsCommitted?: number;
+    totalStatements?: number;
+  }
+
+  export interface StatusResult {
+    migrations: MigrationStatusEntry[];
+    summary: {
+      applied: number;
+      pending: number;
+      rolledBack: number;
+      partial: number;
+    };
+    /** Schema version of the history table itself. */
+    historyVersion: {
+      /** `null` until the history table is created. */
+      version: number | null;
+      latestVersion: number;
+      /** Applied by the next `up()`, `to()` or `init()`. */
+      pendingUpgrades: Array<{ version: number; description: string }>;
+    };
+  }
+
+  export interface VerifyResult {
+    valid: boolean;
+    migrations: Array<{
+      name: string;
+      status: "ok" | "modified" | "missing" | "unverified";
+    }>;
+  }
+
+  export interface PlanResult {
+    migrations: Array<{
+      name: string;
+      statements: SqlStatement[];
+      /** The paired `.js` file has a non-empty `up()`. */
+      runsUp: boolean;
+    }>;
+  }
+
+  export interface UpResult {
+    applied: string[];
+    pending: string[];
+  }
+
+  export interface DownResult {
+    rolledBack: string[];
+    failed: string | null;
+  }
+
+  export interface ToResult {
+    target: string;
+    rolledBack: string[];
+    applied: string[];
+  }
+
+  export interface CreateResult {
+    /** `false` when the models match the snapshot. */
+    created: boolean;
+    name: string | null;
+    files: { sql: string; js: string; snapshot?: string } | null;
+    warnings?: string[];
+  }
+
+  export interface CreateOptions {
+    /** Hand-written SQL/JS pair, no model diff. */
+    empty?: boolean;
+    /** Allow unapplied local migrations underneath. */
+    stack?: boolean;
+    /** Accept every rename/rebuild question. */
+    assumeYes?: boolean;
+    /** `table.old:new` specs; `table.old:` means "not a rename". */
+    renames?: string[];
+    /** JSON file shaped `{ table: { old: new | null } }`. */
+    renamesFile?: string | null;
+  }
+
+  /** Default export of `buns-migrate.config.js`. */
+  export interface BunsMigrateConfig {
+    migrationsDir?: string;
+    snapshotFile?: string;
+    modelsPath?: string;
+    historyTable?: string;
+    historySchema?: string;
+  }
+
+  /** One per process; await each call before starting the next. */
+  export class Migrator {
+    constructor(config?: MigratorConfig);
+    /** Creates the history table; `up()` and `to()` also do so on first use. */
+    init(): Promise<{ historyTable: string }>;
+    status(): Promise<StatusResult>;
+    verify(): Promise<VerifyResult>;
+    plan(options?: { includeInitial?: boolean }): Promise<PlanResult>;
+    up(options?: { includeInitial?: boolean; resume?: boolean }): Promise<UpResult>;
+    down(options?: { steps?: number; all?: boolean }): Promise<DownResult>;
+    to(target: string, options?: { includeInitial?: boolean }): Promise<ToResult>;
+    create(name: string, options?: CreateOptions): Promise<CreateResult>;
+  }
+
+  export type MigrationErrorCode =
+    | "MIGRATION_ERROR"
+    | "CONFIG_ERROR"
+    | "MIGRATION_STATE"
+    | "SCHEMA_INVALID"
+    | "SCHEMA_DRIFT"
+    | "PROMPT_REQUIRED"
+    | "CANCELLED"
+    | "LOCK_TIMEOUT"
+    | "MIGRATION_FAILED"
+    | "ROLLBACK_FAILED";
+
+  export class MigrationError extends Error {
+    code: MigrationErrorCode;
+    cause?: unknown;
+  }
+  export class ConfigError extends MigrationError {}
+  export class MigrationStateError extends MigrationError {}
+  export class SchemaValidationError extends MigrationError {}
+  export class SchemaDriftError extends MigrationError {
+    /** SQL describing how the database differs. */
+    statements: string[];
+  }
+  export class PromptRequiredError extends MigrationError {}
+  export class MigrationCancelledError extends MigrationError {}
+  export class LockTimeoutError extends MigrationError {
+    timeout: number;
+  }
+  export class MigrationFailedError extends MigrationError {
+    file: string;
+    statement?: SqlStatement;
+    /** MySQL: statements committed before the failure. */
+    committedStatements: number;
+    /** Migrations applied earlier in the same `up()`. */
+    applied?: string[];
+  }
+  export class RollbackFailedError extends MigrationError {
+    file: string;
+    /** Migrations reverted earlier in the same `down()`. */
+    rolledBack?: string[];
+  }
 }
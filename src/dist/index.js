@@ -32,3 +32,17 @@ export const Fields = {
 };
 
 export { defineModel };
+
+export { Migrator } from "../migrator.js";
+export {
+  MigrationError,
+  ConfigError,
+  MigrationStateError,
+  SchemaValidationError,
+  SchemaDriftError,
+  PromptRequiredError,
+  MigrationCancelledError,
+  LockTimeoutError,
+  MigrationFailedError,
+  RollbackFailedError,
+} from "../utils/errors.js";
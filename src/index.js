@@ -1,11 +1,54 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
 import chalk from "chalk";
 import { getAllRows, pool } from "@anclatechs/sql-buns";
-import { generateChecksum } from "./utils/generics.js";
+import {
+  causesImplicitCommitOnMySQL,
+  generateChecksum,
+  generateFileChecksum,
+  hasExecutableSql,
+  isEmptyFunction,
+} from "./utils/generics.js";
 import { loadModels } from "./utils/loadModels.js";
 import { diffSchemas } from "./utils/schemaDiffConstructor.js";
 import { inspectDBForDrift } from "./utils/integrity.js";
+import { loadRenamesFile, parseRenameSpecs } from "./utils/renames.js";
+import { withMigrationLock } from "./utils/lock.js";
+import { splitSqlStatements } from "./utils/sqlSplitter.js";
+import { getMigrationsDir, getSnapshotFile } from "./utils/config.js";
+import { getHistoryTable } from "./utils/historyTable.js";
+import {
+  ensureHistoryTable,
+  getHistorySchemaInfo,
+  historyTableExists,
+} from "./utils/bootstrap.js";
+import { logger } from "./utils/logger.js";
+import {
+  ConfigError,
+  MigrationFailedError,
+  MigrationStateError,
+  RollbackFailedError,
+} from "./utils/errors.js";
+import {
+  clearMigrationProgress,
+  committedStatementsChecksum,
+  ensureMigrationProgressTable,
+  getAllMigrationProgress,
+  getMigrationProgress,
+  migrationProgressTableExists,
+  saveMigrationProgress,
+} from "./utils/progress.js";
+import {
+  migrationSnapshotPath,
+  readMigrationSnapshot,
+  writeMigrationSnapshot,
+} from "./utils/snapshots.js";
+import { buildMigrationModule } from "./utils/migrationTemplate.js";
+import {
+  assertMigrationNameAllowed,
+  sanitizeMigrationName,
+} from "./utils/emptyMigration.js";
 import {
   INITIAL_INSPECTDB_MARKER,
   SUPPORTED_SQL_DIALECTS_TYPES,
@@ -14,37 +57,52 @@ import {
   extractSchemas,
   normalizeSchemasForChecksum,
 } from "./utils/extractSchema.js";
-const MIGRATIONS_DIR = path.join(process.cwd(), "database/migrations");
-const SNAPSHOT_FILE = path.join(MIGRATIONS_DIR, "schema_snapshot.json");
 
-const entryPath = "../";
-const pkgPath = path.join(path.dirname(entryPath), "package.json");
+// This package's own package.json, wherever the command runs from
+const pkgPath = new URL("../package.json", import.meta.url);
 const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf-8"));
 const sqlBunsMigrateCurrentversion = pkg?.version || "p1";
 
-function sanitizeMigrationName(name) {
-  /**
-   * 1. Replace special characters with underscore
-   * 2. Remove leading/trailing underscores
-   */
-  return String(name)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9_-]+/g, "_")
-    .replace(/^_+|_+$/g, "");
+/**
+ * Rows from the history table. Read-only commands never create it, so a
+ * missing table just means nothing has been applied yet.
+ */
+async function _historyRows(query) {
+  if (!(await historyTableExists())) return [];
+  return getAllRows(query);
 }
 
-export async function createMigration(name) {
+export { createEmptyMigration } from "./utils/emptyMigration.js";
+
+/**
+ * Diff models against the last snapshot and write a new migration.
+ * Holds the migration lock unless `lock: false`.
+ */
+export async function createMigration(name, options = {}) {
+  return withMigrationLock(() => _createMigration(name, options), options);
+}
+
+async function _createMigration(
+  name,
+  {
+    stack = false,
+    assumeYes = false,
+    interactive = true,
+    renames = [],
+    renamesFile = null,
+  } = {}
+) {
   // CHECK DIRECTORY
-  if (!fs.existsSync(MIGRATIONS_DIR))
-    fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+  const migrationsDir = getMigrationsDir();
+  if (!fs.existsSync(migrationsDir))
+    fs.mkdirSync(migrationsDir, { recursive: true });
 
   const models = await loadModels();
   const currentSchema = extractSchemas(models);
 
   let oldSchema = {};
-  if (fs.existsSync(SNAPSHOT_FILE)) {
-    oldSchema = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf-8"));
+  if (fs.existsSync(getSnapshotFile())) {
+    oldSchema = JSON.parse(fs.readFileSync(getSnapshotFile(), "utf-8"));
   }
 
   const { oldFiltered, currentFiltered } = normalizeSchemasForChecksum(
@@ -55,52 +113,68 @@ export async function createMigration(name) {
   const oldChecksum = generateChecksum(oldFiltered);
 
   if (currentChecksum === oldChecksum) {
-    console.log("✅ No schema changes detected.");
-    return;
+    logger.log("✅ No schema changes detected.");
+    return { created: false, name: null, files: null, warnings: [] };
   }
 
-  // Assert that the migration name is not a reserved keyword
-  if (sanitizeMigrationName(name).toLowerCase() === INITIAL_INSPECTDB_MARKER) {
-    console.error(
-      `\n❌ Error: The migration name '${INITIAL_INSPECTDB_MARKER}' is reserved.\n` +
-        "This name is used internally to detect auto-generated databases.\n" +
-        "Please choose a different name.\n"
-    );
-    process.exit(1);
-  }
+  assertMigrationNameAllowed(name);
 
   // Read all migration files in the directory
   const files = fs
-    .readdirSync(MIGRATIONS_DIR)
+    .readdirSync(migrationsDir)
     .filter((f) => f.endsWith(".sql"))
     .sort();
 
   // Fetch all migrations already applied to the database
-  const applied = await getAllRows(`SELECT name FROM  _sqlbuns_migrations`);
+  const applied = await _historyRows(
+    `SELECT name FROM ${getHistoryTable().name}`
+  );
   const appliedNames = new Set(applied.map((r) => r.name));
 
   // Detect files yet to be applied
   const unapplied = files.filter((f) => !appliedNames.has(f));
 
-  if (unapplied.length > 0) {
-    console.error(
-      `\n❌ Migration files not yet applied:\n${unapplied
-        .map((f) => "  - " + f)
-        .join("\n")}`
+  if (unapplied.length > 0 && stack) {
+    // Stacking: the latest local snapshot already includes the pending files
+    logger.log(
+      chalk.yellow(
+        `\n📚 Stacking on ${
+          unapplied.length
+        } unapplied migration(s):\n${unapplied
+          .map((f) => "  - " + f)
+          .join("\n")}\nDiffing against the latest local snapshot.`
+      )
     );
-    console.error(
-      "\nYour local migration files are out of sync with the database.\nRun: `buns-migrate up` to apply them before creating a new one.\n"
+  } else if (unapplied.length > 0) {
+    throw new MigrationStateError(
+      `Migration files not yet applied:\n${unapplied
+        .map((f) => "  - " + f)
+        .join("\n")}` +
+        "\nYour local migration files are out of sync with the database.\nRun: `buns-migrate up` to apply them before creating a new one,\nor `buns-migrate create --stack <name>` to stack on top of them.",
+      { unapplied }
     );
-    process.exit(1);
   }
 
-  await inspectDBForDrift(oldSchema, currentSchema);
+  await inspectDBForDrift(oldSchema, currentSchema, {
+    migrationsDir,
+    snapshotFile: getSnapshotFile(),
+  });
 
-  const changes = await diffSchemas(oldSchema, currentSchema);
+  const stacked = stack && unapplied.length > 0;
+  const changes = await diffSchemas(oldSchema, currentSchema, {
+    // Tables/columns from pending files exist only in the snapshot so far
+    existenceSnapshot: stacked ? oldSchema : null,
+    interactive,
+    assumeYes,
+    renames: [
+      ...(renamesFile ? loadRenamesFile(renamesFile) : []),
+      ...parseRenameSpecs(renames),
+    ],
+  });
 
   if (changes.warnings.length > 0) {
-    console.log("Warnings:");
-    changes.warnings.forEach((w) => console.log(" - " + w));
+    logger.log("Warnings:");
+    changes.warnings.forEach((w) => logger.log(" - " + w));
   }
 
   const sql = changes.sql.join("\n");
@@ -109,62 +183,150 @@ export async function createMigration(name) {
   const timestamp = Date.now();
   const filename = `${timestamp}_${sanitizeMigrationName(name)}.sql`;
   const reverseSQLFilename = `${timestamp}_${sanitizeMigrationName(name)}.js`;
-  const isSQLite =
-    process.env.DATABASE_ENGINE === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE;
-  fs.writeFileSync(path.join(MIGRATIONS_DIR, filename), sql);
+  const sqlPath = path.join(migrationsDir, filename);
+  const modulePath = path.join(migrationsDir, reverseSQLFilename);
+  fs.writeFileSync(sqlPath, sql);
   fs.writeFileSync(
-    path.join(MIGRATIONS_DIR, reverseSQLFilename),
-    `/*
- * WARNING: This migration file was auto-generated by @anclatechs/sql-buns-migrate
- * on ${new Date().toLocaleDateString("en-US", {
-   month: "long",
-   day: "numeric",
-   year: "numeric",
- })} (version ${sqlBunsMigrateCurrentversion}).
- *
- * Do not edit this file manually, as it may complicate the migration process
- * or lead to unexpected issues. If changes are needed, regenerate the file
- * or modify the source configuration instead. Only proceed with direct edits
- * if you are absolutely certain of the implications.
- */
-import { pool } from "@anclatechs/sql-buns";
-export async function up() {/**Go to file: ${filename}*/}
-export async function down() {
-  await pool.${isSQLite ? "run" : "query"}(\`${reverseSQL}\`);
-}
-  `
+    modulePath,
+    buildMigrationModule({
+      filename,
+      reverseSQL,
+      version: sqlBunsMigrateCurrentversion,
+    })
   );
 
-  fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(currentSchema, null, 2));
+  writeMigrationSnapshot(migrationsDir, filename, currentSchema);
+  fs.writeFileSync(getSnapshotFile(), JSON.stringify(currentSchema, null, 2));
+
+  logger.log(chalk.green(`✅ Migration created: ${filename}`));
 
-  console.log(chalk.green(`✅ Migration created: ${filename}`));
+  return {
+    created: true,
+    name: filename,
+    files: {
+      sql: sqlPath,
+      js: modulePath,
+      snapshot: migrationSnapshotPath(migrationsDir, filename),
+    },
+    warnings: changes.warnings,
+  };
+}
+
+function _readMigrationSql(file, includeInitial) {
+  const filePath = path.join(getMigrationsDir(), file);
+  if (filePath.includes(INITIAL_INSPECTDB_MARKER) && includeInitial == false) {
+    // Special case: `INITIAL_INSPECTDB_MARKER` migration is a marker file only.
+    // It indicates that the database was created via `inspectdb` and should not be re-applied,
+    // as doing so would lead to unintended overwrite issues.
+    // Its content is intentionally ignored. Some sort of Fake migration pass :check :)
+    // Unless specified by the includeInitial Flage
+    return "";
+  }
+  return fs.readFileSync(filePath, "utf8");
 }
 
 /**
- * Run all unapplied migrations
+ * Execute a migration's SQL one statement at a time, so a failure points at
+ * the statement that broke instead of the whole file.
+ * `skip` leaves out statements already committed by an earlier run.
  */
-export async function migrateUp({ includeInitial = false }) {
-  console.log(chalk.cyan("🔍 Checking for unapplied migrations..."));
+async function _runMigrationSql(
+  file,
+  statements,
+  connection,
+  { skip = 0, onStatementDone = null } = {}
+) {
+  for (const statement of statements) {
+    if (statement.index <= skip) continue;
+    try {
+      if (connection) {
+        await connection.query(statement.text);
+      } else {
+        await pool.exec(statement.text);
+      }
+    } catch (err) {
+      logger.error(
+        chalk.red(
+          `  ✖ Statement ${statement.index} of ${statements.length} failed (${file}, line ${statement.line}):`
+        )
+      );
+      logger.error(
+        chalk.gray(
+          statement.text
+            .split("\n")
+            .map((line) => `    ${line}`)
+            .join("\n")
+        )
+      );
+      throw new MigrationFailedError(
+        `Statement ${statement.index} of ${statements.length} in ${file} (line ${statement.line}) failed: ${err.message}`,
+        { file, statement, cause: err }
+      );
+    }
+    if (onStatementDone) await onStatementDone(statement);
+  }
+}
 
-  // Get all migration files
-  let migrationFiles;
-  if (!fs.existsSync(MIGRATIONS_DIR)) {
-    migrationFiles = [];
-  } else {
-    migrationFiles = fs
-      .readdirSync(MIGRATIONS_DIR)
-      .filter((f) => f.endsWith(".sql"))
-      .sort();
+function _firstLine(text) {
+  const [first] = text.split("\n");
+  return first.length > 70 ? `${first.slice(0, 67)}...` : first;
+}
+
+/**
+ * MySQL keeps whatever DDL ran before a failure. Say exactly what stuck
+ * and how to continue.
+ */
+function _reportMySQLPartialMigration(file, statements, done, err) {
+  if (done === 0) return;
+
+  logger.error(
+    chalk.yellow(
+      `\n⚠️ MySQL auto-commits DDL: ${done} of ${statements.length} statements from ${file} were committed and are NOT rolled back:`
+    )
+  );
+  for (const statement of statements.slice(0, done)) {
+    logger.error(
+      chalk.gray(
+        `    ✔ #${statement.index} (line ${statement.line}) ${_firstLine(
+          statement.text
+        )}`
+      )
+    );
   }
+  const next =
+    done < statements.length
+      ? `statement #${done + 1}`
+      : "the JS up() and bookkeeping";
+  logger.error(
+    chalk.yellow(
+      `Fix the cause (${err.message}) and run \`buns-migrate up --resume\` to continue from ${next}.`
+    )
+  );
+}
 
-  if (migrationFiles.length === 0) {
-    console.log(chalk.yellow("⚠️ No migration files found."));
-    return;
+/**
+ * Returns the paired `.js` module's `up()` when it does real work (data
+ * migrations); generated files only carry an empty placeholder.
+ */
+async function _loadExecutableUp(file, includeInitial) {
+  if (file.includes(INITIAL_INSPECTDB_MARKER) && includeInitial == false) {
+    return null;
   }
 
+  const modulePath = path.join(getMigrationsDir(), file.replace(".sql", ".js"));
+  if (!fs.existsSync(modulePath)) return null;
+
+  const migrationModule = await import(modulePath);
+  if (typeof migrationModule.up !== "function") return null;
+  if (isEmptyFunction(migrationModule.up)) return null;
+
+  return migrationModule.up;
+}
+
+async function _getUnappliedMigrations(migrationFiles) {
   // Fetch applied migrations from DB
-  const appliedMigrations = await getAllRows(`
-        SELECT name, checksum FROM _sqlbuns_migrations
+  const appliedMigrations = await _historyRows(`
+        SELECT name, checksum FROM ${getHistoryTable().name}
         WHERE direction = 'up' AND rolled_back = false
       `);
 
@@ -173,120 +335,406 @@ export async function migrateUp({ includeInitial = false }) {
   );
 
   // Filter unapplied migrations
-  const unapplied = migrationFiles.filter((file) => !appliedMap.has(file));
+  return migrationFiles.filter((file) => !appliedMap.has(file));
+}
 
-  if (unapplied.length === 0) {
-    console.log(chalk.green("✅ All migrations are synced up to db."));
-    return;
-  }
+/**
+ * Print (or write to `sqlOut`) everything `migrateUp` would execute,
+ * without touching the database
+ */
+async function _previewMigrations(unapplied, { includeInitial, sqlOut }) {
+  const dbType = process.env.DATABASE_ENGINE;
+  const isPostgres = dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES;
+  const isMySQL = dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL;
+  const beginStatement = isPostgres
+    ? "BEGIN;"
+    : isMySQL
+    ? "START TRANSACTION;"
+    : "BEGIN TRANSACTION;";
+  const rolledBackLiteral = isPostgres ? "false" : "0";
 
-  console.log(chalk.blue(`\nApplying ${unapplied.length} migrations...`));
+  const chunks = [
+    `-- Dry run generated by @anclatechs/sql-buns-migrate (version ${sqlBunsMigrateCurrentversion})`,
+    `-- Engine: ${dbType} | Pending migrations: ${unapplied.length}`,
+  ];
 
   for (const file of unapplied) {
-    /** CAVEAT -- From my initial process flow, this is designed to only have one unapplied migration
-     * at a time, this may be a bottleneck in some instances but the merit is allow us to determine
-     * at near 100% accuracy the current schema being processed
-     *
-     * Thus unapplied array lenght would be === 1
-     * */
-
-    let content;
-    const dbType = process.env.DATABASE_ENGINE;
-    const schema = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf-8"));
-    const filePath = path.join(MIGRATIONS_DIR, file);
-    if (
-      filePath.includes(INITIAL_INSPECTDB_MARKER) &&
-      includeInitial == false
-    ) {
-      // Special case: `INITIAL_INSPECTDB_MARKER` migration is a marker file only.
-      // It indicates that the database was created via `inspectdb` and should not be re-applied,
-      // as doing so would lead to unintended overwrite issues.
-      // Its content is intentionally ignored. Some sort of Fake migration pass :check :)
-      // Unless specified by the includeInitial Flage
-      content = "";
-    } else {
-      content = fs.readFileSync(filePath, "utf8");
+    const content = _readMigrationSql(file, includeInitial);
+    const checksum = generateChecksum(
+      readMigrationSnapshot(getMigrationsDir(), file, getSnapshotFile())
+    );
+    chunks.push(
+      "",
+      `-- >>> Migration: ${file}`,
+      beginStatement,
+      content.trim()
+        ? content.trim()
+        : `-- (${INITIAL_INSPECTDB_MARKER} baseline: SQL skipped, only recorded)`
+    );
+    if (await _loadExecutableUp(file, includeInitial)) {
+      chunks.push(
+        `-- (JavaScript) up(db) from ${file.replace(
+          ".sql",
+          ".js"
+        )} runs here; its queries are not shown`
+      );
     }
-    const checksum = generateChecksum(schema);
+    chunks.push(
+      "-- Bookkeeping",
+      `INSERT INTO ${getHistoryTable().name} (name, checksum, file_checksum, direction, rolled_back) VALUES ('${file}', '${checksum}', '${generateFileChecksum(
+        path.join(getMigrationsDir(), file)
+      )}', 'up', ${rolledBackLiteral});`,
+      "COMMIT;"
+    );
+  }
 
-    console.log(chalk.cyan(`\n▶ Running migration: ${file}`));
+  const output = chunks.join("\n") + "\n";
 
-    let connection = null;
-    const isPostgres = dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES;
-    const isMySQL = dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL;
-    const isSQLite = dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE;
-    const useConnection = isPostgres || isMySQL;
+  if (sqlOut) {
+    const outPath = path.resolve(process.cwd(), sqlOut);
+    fs.writeFileSync(outPath, output);
+    logger.log(chalk.green(`✅ Dry run SQL written to: ${outPath}`));
+  } else {
+    logger.log(output);
+  }
 
-    try {
-      if (isPostgres) {
-        connection = await pool.connect();
-        await connection.query("BEGIN");
-      } else if (isMySQL) {
-        connection = await pool.getConnection();
-        await connection.beginTransaction();
-      } else if (isSQLite) {
-        await pool.exec("BEGIN TRANSACTION");
-      }
+  logger.log(
+    chalk.yellow("ℹ️ Dry run only: no changes were made to the database.")
+  );
+  return output;
+}
 
-      if (useConnection) {
-        await connection.query(content);
-      } else {
-        await pool.exec(content);
-      }
+/**
+ * Where a MySQL migration should start: 0, or past the statements an earlier
+ * failed run already committed (only with `--resume`)
+ */
+async function _resumePointForMySQL(connection, file, statements, resume) {
+  const progress = await getMigrationProgress(connection, file);
+  if (!progress || progress.statements_done === 0) return 0;
 
-      const params = [file, checksum, "up", false];
-      let insertQuery;
-      if (isPostgres) {
-        insertQuery = `INSERT INTO _sqlbuns_migrations (name, checksum, direction, rolled_back) VALUES ($1, $2, $3, $4)`;
-        await connection.query(insertQuery, params);
-      } else if (isMySQL) {
-        insertQuery = `INSERT INTO _sqlbuns_migrations (name, checksum, direction, rolled_back) VALUES (?, ?, ?, ?)`;
-        await connection.query(insertQuery, params);
-      } else if (isSQLite) {
-        insertQuery = `INSERT INTO _sqlbuns_migrations (name, checksum, direction, rolled_back) VALUES (?, ?, ?, ?)`;
-        await pool.run(insertQuery, params);
-      }
+  const done = progress.statements_done;
+  if (!resume) {
+    throw new MigrationStateError(
+      `${file} failed part-way on a previous run: ${done} of ${progress.total_statements} statements are already committed.\n` +
+        `Run \`buns-migrate up --resume\` to continue from statement #${
+          done + 1
+        }, or undo those statements by hand and delete its row from ${getHistoryTable().progressTable}.`,
+      { file, committedStatements: done }
+    );
+  }
 
-      // Commit transaction
-      if (isPostgres) {
-        await connection.query("COMMIT");
-      } else if (isMySQL) {
-        await connection.commit();
-      } else if (isSQLite) {
-        await pool.exec("COMMIT");
+  if (
+    done > statements.length ||
+    committedStatementsChecksum(statements.slice(0, done)) !==
+      progress.done_checksum
+  ) {
+    throw new MigrationStateError(
+      `Cannot resume ${file}: the ${done} statements it already committed were edited since. Only the failed statement and later ones may change.`,
+      { file, committedStatements: done }
+    );
+  }
+
+  logger.log(
+    chalk.yellow(
+      done === statements.length
+        ? `↻ Resuming: all ${done} statements already committed, finishing up() and bookkeeping.`
+        : `↻ Resuming from statement #${done + 1} of ${statements.length} (${done} already committed).`
+    )
+  );
+  return done;
+}
+
+/**
+ * Recorded as `applied_by`: who ran the migration, and from where
+ */
+function _appliedBy() {
+  try {
+    return `${os.userInfo().username}@${os.hostname()}`;
+  } catch {
+    // No passwd entry for the current uid (some containers)
+    return os.hostname();
+  }
+}
+
+/**
+ * Apply a single migration file inside a transaction and record it.
+ * MySQL commits DDL as it goes, so there progress is tracked per statement.
+ */
+async function _applyMigration(
+  file,
+  { includeInitial = false, resume = false } = {}
+) {
+  const dbType = process.env.DATABASE_ENGINE;
+  // First write to the history table creates it
+  await ensureHistoryTable();
+
+  // Checksum of the schema as it stands after this very migration
+  const schema = readMigrationSnapshot(
+    getMigrationsDir(),
+    file,
+    getSnapshotFile()
+  );
+  const content = _readMigrationSql(file, includeInitial);
+  const checksum = generateChecksum(schema);
+  const fileChecksum = generateFileChecksum(
+    path.join(getMigrationsDir(), file)
+  );
+  const up = await _loadExecutableUp(file, includeInitial);
+  const statements = hasExecutableSql(content)
+    ? splitSqlStatements(content)
+    : [];
+
+  logger.log(chalk.cyan(`\n▶ Running migration: ${file}`));
+
+  let connection = null;
+  const isPostgres = dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES;
+  const isMySQL = dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL;
+  const isSQLite = dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE;
+  const useConnection = isPostgres || isMySQL;
+  // MySQL only: statements committed so far, including earlier runs
+  let statementsDone = 0;
+  const startedAt = Date.now();
+
+  try {
+    if (isPostgres) {
+      connection = await pool.connect();
+      await connection.query("BEGIN");
+    } else if (isMySQL) {
+      connection = await pool.getConnection();
+      await ensureMigrationProgressTable(connection);
+      statementsDone = await _resumePointForMySQL(
+        connection,
+        file,
+        statements,
+        resume
+      );
+    } else if (isSQLite) {
+      await pool.exec("BEGIN TRANSACTION");
+    }
+
+    // MySQL statements that contain DDL run (and commit) one by one with
+    // their progress saved. Files without any, and every file elsewhere,
+    // run inside the migration's transaction
+    const stepByStep =
+      isMySQL &&
+      (statementsDone > 0 ||
+        statements.some((statement) =>
+          causesImplicitCommitOnMySQL(statement.text)
+        ));
+    if (isMySQL && !stepByStep) await connection.beginTransaction();
+
+    await _runMigrationSql(
+      file,
+      statements,
+      useConnection ? connection : null,
+      stepByStep
+        ? {
+            skip: statementsDone,
+            onStatementDone: async (statement) => {
+              statementsDone = statement.index;
+              await saveMigrationProgress(connection, {
+                name: file,
+                done: statementsDone,
+                total: statements.length,
+                doneChecksum: committedStatementsChecksum(
+                  statements.slice(0, statementsDone)
+                ),
+              });
+            },
+          }
+        : {}
+    );
+
+    // up() and the bookkeeping row are transactional on MySQL too
+    if (stepByStep) await connection.beginTransaction();
+
+    // Data migrations: JS up() shares the transaction with the SQL above
+    if (up) {
+      logger.log(`  ↳ Running up() from ${file.replace(".sql", ".js")}`);
+      await up(connection || pool);
+    }
+
+    const params = [
+      file,
+      checksum,
+      fileChecksum,
+      "up",
+      false,
+      Date.now() - startedAt,
+      _appliedBy(),
+    ];
+    let insertQuery;
+    if (isPostgres) {
+      insertQuery = `INSERT INTO ${getHistoryTable().name} (name, checksum, file_checksum, direction, rolled_back, execution_ms, applied_by) VALUES ($1, $2, $3, $4, $5, $6, $7)`;
+      await connection.query(insertQuery, params);
+    } else if (isMySQL) {
+      insertQuery = `INSERT INTO ${getHistoryTable().name} (name, checksum, file_checksum, direction, rolled_back, execution_ms, applied_by) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+      await connection.query(insertQuery, params);
+      await clearMigrationProgress(connection, file);
+    } else if (isSQLite) {
+      insertQuery = `INSERT INTO ${getHistoryTable().name} (name, checksum, file_checksum, direction, rolled_back, execution_ms, applied_by) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+      await pool.run(insertQuery, params);
+    }
+
+    // Commit transaction
+    if (isPostgres) {
+      await connection.query("COMMIT");
+    } else if (isMySQL) {
+      await connection.commit();
+    } else if (isSQLite) {
+      await pool.exec("COMMIT");
+    }
+
+    logger.log(chalk.green(`✅ Migration applied: ${file}`));
+  } catch (err) {
+    // Rollback on error
+    if (isPostgres) {
+      if (connection) await connection.query("ROLLBACK");
+    } else if (isMySQL) {
+      if (connection) await connection.rollback();
+    } else if (isSQLite) {
+      await pool.exec("ROLLBACK");
+    }
+
+    // Refused before anything ran (e.g. --resume needed)
+    if (err instanceof MigrationStateError) throw err;
+
+    logger.error(chalk.red(`❌ Failed migration: ${file}`));
+    const cause = err instanceof MigrationFailedError ? err.cause : err;
+
+    if (isMySQL && connection) {
+      if (statementsDone > 0) {
+        await saveMigrationProgress(connection, {
+          name: file,
+          done: statementsDone,
+          total: statements.length,
+          doneChecksum: committedStatementsChecksum(
+            statements.slice(0, statementsDone)
+          ),
+          error: cause.message,
+        });
       }
+      _reportMySQLPartialMigration(file, statements, statementsDone, cause);
+    }
 
-      console.log(chalk.green(`✅ Migration applied: ${file}`));
-    } catch (err) {
-      // Rollback on error
+    const committedStatements = isMySQL ? statementsDone : 0;
+    if (err instanceof MigrationFailedError) {
+      err.committedStatements = committedStatements;
+      throw err;
+    }
+    throw new MigrationFailedError(`${file} failed: ${err.message}`, {
+      file,
+      cause: err,
+      committedStatements,
+    });
+  } finally {
+    if (connection) {
       if (isPostgres) {
-        if (connection) await connection.query("ROLLBACK");
+        connection.release();
       } else if (isMySQL) {
-        if (connection) await connection.rollback();
-      } else if (isSQLite) {
-        await pool.exec("ROLLBACK");
+        connection.release();
       }
+    }
+  }
+}
 
-      console.error(chalk.red(`❌ Failed migration: ${file}`));
-      console.error(err.message);
-      process.exit(1);
-    } finally {
-      if (connection) {
-        if (isPostgres) {
-          connection.release();
-        } else if (isMySQL) {
-          connection.release();
-        }
-      }
+/**
+ * Run all unapplied migrations.
+ * Holds the migration lock unless `lock: false` (previews never lock).
+ */
+export async function migrateUp(options = {}) {
+  const preview = options.dryRun || options.sqlOut;
+  return withMigrationLock(() => _migrateUp(options), {
+    ...options,
+    lock: options.lock !== false && !preview,
+  });
+}
+
+async function _migrateUp({
+  includeInitial = false,
+  dryRun = false,
+  sqlOut = null,
+  resume = false,
+}) {
+  logger.log(chalk.cyan("🔍 Checking for unapplied migrations..."));
+
+  // Get all migration files
+  const migrationFiles = _listMigrationFiles();
+
+  if (migrationFiles.length === 0) {
+    logger.log(chalk.yellow("⚠️ No migration files found."));
+    return { applied: [], pending: [] };
+  }
+
+  const unapplied = await _getUnappliedMigrations(migrationFiles);
+
+  if (unapplied.length === 0) {
+    logger.log(chalk.green("✅ All migrations are synced up to db."));
+    return { applied: [], pending: [] };
+  }
+
+  if (dryRun || sqlOut) {
+    const output = await _previewMigrations(unapplied, {
+      includeInitial,
+      sqlOut,
+    });
+    return { applied: [], pending: unapplied, sql: output };
+  }
+
+  if (
+    resume &&
+    process.env.DATABASE_ENGINE !== SUPPORTED_SQL_DIALECTS_TYPES.MYSQL
+  ) {
+    logger.log(
+      chalk.gray(
+        "--resume only matters on MySQL; other engines roll a failed migration back completely."
+      )
+    );
+  }
+
+  logger.log(chalk.blue(`\nApplying ${unapplied.length} migrations...`));
+
+  const applied = [];
+  for (const file of unapplied) {
+    // Every migration carries its own post-migration snapshot, so several
+    // pending files each get recorded with the checksum of their own schema
+    try {
+      await _applyMigration(file, { includeInitial, resume });
+    } catch (err) {
+      err.applied = applied;
+      throw err;
     }
+    applied.push(file);
   }
 
-  console.log(chalk.green("\n🎉 All migrations applied successfully!"));
+  logger.log(chalk.green("\n🎉 All migrations applied successfully!"));
+  return { applied, pending: [] };
 }
 
-export async function migrateDown() {
-  console.log("\nReverting last migration...");
+/**
+ * What `up` would run, statement by statement, without executing anything
+ */
+export async function planMigrations({ includeInitial = false } = {}) {
+  const unapplied = await _getUnappliedMigrations(_listMigrationFiles());
+
+  const migrations = [];
+  for (const name of unapplied) {
+    const content = _readMigrationSql(name, includeInitial);
+    migrations.push({
+      name,
+      statements: hasExecutableSql(content) ? splitSqlStatements(content) : [],
+      runsUp: Boolean(await _loadExecutableUp(name, includeInitial)),
+    });
+  }
+
+  return { migrations };
+}
 
+/**
+ * Revert a single applied migration row through its `.js` `down()` module.
+ * Throws RollbackFailedError when it can't, leaving the row untouched.
+ */
+async function _rollbackMigration(migrationRow) {
   const dbType = process.env.DATABASE_ENGINE;
   let connection = null;
   const isPostgres = dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES;
@@ -294,75 +742,111 @@ export async function migrateDown() {
   const isSQLite = dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE;
   const useConnection = isPostgres || isMySQL;
 
-  if (isPostgres) {
-    connection = await pool.connect();
-  } else if (isMySQL) {
-    connection = await pool.getConnection();
-  }
-
-  try {
-    // Get latest applied (non-reverted) migration
-    const [lastApplied] = await getAllRows(`
-      SELECT * FROM _sqlbuns_migrations
-      ORDER BY applied_at DESC
-      LIMIT 1;
-    `);
+  const rollbackFile = migrationRow.name.replace(".sql", ".js");
+  const rollbackPath = path.join(getMigrationsDir(), rollbackFile);
 
-    if (!lastApplied) {
-      console.log("No applied migrations to roll back.");
-      return;
-    }
+  if (!fs.existsSync(rollbackPath)) {
+    throw new RollbackFailedError(
+      `No rollback file found for ${rollbackFile}`,
+      { file: migrationRow.name }
+    );
+  }
 
-    if (lastApplied.rolled_back) {
-      console.log(chalk.yellow(`${lastApplied.name} already rolled back.`));
-      return;
-    }
+  const rollbackModule = await import(rollbackPath);
+  const rollbackSource = fs.readFileSync(rollbackPath, "utf-8");
 
-    const lastFile = lastApplied.name.replace(".sql", ".js");
-    const rollbackPath = path.join(MIGRATIONS_DIR, lastFile);
+  if (!rollbackModule.down) {
+    throw new RollbackFailedError(
+      `No 'down' function found in ${rollbackFile}`,
+      { file: migrationRow.name }
+    );
+  }
 
-    if (!fs.existsSync(rollbackPath)) {
-      console.log(chalk.yellow(`No rollback file found for ${lastFile}`));
-      return;
+  try {
+    // The down() body and the bookkeeping UPDATE succeed or fail together
+    if (isPostgres) {
+      connection = await pool.connect();
+      await connection.query("BEGIN");
+    } else if (isMySQL) {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+    } else if (isSQLite) {
+      await pool.exec("BEGIN TRANSACTION");
     }
 
-    const rollbackModule = await import(rollbackPath);
-
-    if (!rollbackModule.down) {
-      console.log(chalk.yellow(`No 'down' function found in ${lastFile}`));
-      return;
+    logger.log(`\nRunning rollback for ${rollbackFile}...`);
+    // Older generated files declare `down()` and query the pool directly.
+    // Checked in the source, as `down(db = pool)` has no length either
+    if (/\bdown\s*(?:=\s*(?:async\s*)?)?\(\s*\)/.test(rollbackSource)) {
+      logger.warn(
+        chalk.yellow(
+          `${rollbackFile} declares down() without a db parameter; anything it runs on the pool directly is outside the rollback transaction.`
+        )
+      );
     }
-
-    console.log(`\nRunning rollback for ${lastFile}...`);
     await rollbackModule.down(connection || pool);
 
     // Mark migration as reverted
     if (isPostgres) {
       await connection.query(
-        `UPDATE _sqlbuns_migrations 
+        `UPDATE ${getHistoryTable().name} 
          SET rolled_back = true, direction = 'down', rolled_back_at = NOW() 
          WHERE id = $1`,
-        [lastApplied.id]
+        [migrationRow.id]
       );
     } else if (isMySQL) {
       await connection.query(
-        `UPDATE _sqlbuns_migrations 
+        `UPDATE ${getHistoryTable().name} 
          SET rolled_back = true, direction = 'down', rolled_back_at = NOW() 
          WHERE id = ?`,
-        [lastApplied.id]
+        [migrationRow.id]
       );
     } else if (isSQLite) {
       await pool.run(
-        `UPDATE _sqlbuns_migrations 
+        `UPDATE ${getHistoryTable().name} 
          SET rolled_back = 1, direction = 'down', rolled_back_at = datetime('now') 
          WHERE id = ?`,
-        [lastApplied.id]
+        [migrationRow.id]
       );
     }
 
-    console.log(chalk.green(`✅ Rolled back migration: ${lastFile}`));
+    // Commit transaction
+    if (isPostgres) {
+      await connection.query("COMMIT");
+    } else if (isMySQL) {
+      await connection.commit();
+    } else if (isSQLite) {
+      await pool.exec("COMMIT");
+    }
+
+    logger.log(chalk.green(`✅ Rolled back migration: ${rollbackFile}`));
   } catch (err) {
-    console.error(chalk.red(`❌ Rollback failed: ${err.message}`));
+    // Rollback on error
+    try {
+      if (isPostgres) {
+        if (connection) await connection.query("ROLLBACK");
+      } else if (isMySQL) {
+        if (connection) await connection.rollback();
+      } else if (isSQLite) {
+        await pool.exec("ROLLBACK");
+      }
+    } catch (rollbackErr) {
+      logger.error(
+        chalk.red(`❌ Could not roll back transaction: ${rollbackErr.message}`)
+      );
+    }
+
+    if (isMySQL) {
+      logger.error(
+        chalk.yellow(
+          "MySQL commits DDL implicitly; statements that ran before the failure may still be applied."
+        )
+      );
+    }
+    throw new RollbackFailedError(
+      `Rollback of ${migrationRow.name} failed: ${err.message}`,
+      { file: migrationRow.name, cause: err }
+    );
   } finally {
     if (useConnection && connection) {
       connection.release();
@@ -370,3 +854,452 @@ export async function migrateDown() {
   }
 }
 
+/**
+ * Roll back the latest `steps` applied migrations (or all of them), newest first.
+ * Stops at the first failure and reports what was reverted so far.
+ */
+export async function migrateDown(options = {}) {
+  return withMigrationLock(() => _migrateDown(options), options);
+}
+
+async function _migrateDown({ steps = 1, all = false } = {}) {
+  if (!all && (!Number.isInteger(steps) || steps < 1)) {
+    throw new ConfigError("--steps must be a positive integer.");
+  }
+
+  logger.log(
+    all
+      ? "\nReverting all applied migrations..."
+      : steps === 1
+      ? "\nReverting last migration..."
+      : `\nReverting last ${steps} migrations...`
+  );
+
+  // Applied (non-reverted) migrations, latest first
+  const appliedRows = await _historyRows(`
+      SELECT * FROM ${getHistoryTable().name}
+      WHERE direction = 'up' AND rolled_back = false
+      ORDER BY applied_at DESC, id DESC;
+    `);
+
+  if (appliedRows.length === 0) {
+    logger.log("No applied migrations to roll back.");
+    return { rolledBack: [], failed: null };
+  }
+
+  const toRollback = all ? appliedRows : appliedRows.slice(0, steps);
+  if (!all && steps > appliedRows.length) {
+    logger.log(
+      chalk.yellow(
+        `Only ${appliedRows.length} applied migrations available, rolling back all of them.`
+      )
+    );
+  }
+
+  const rolledBack = [];
+  let failed = null;
+  let failure = null;
+  for (const row of toRollback) {
+    try {
+      await _rollbackMigration(row);
+    } catch (err) {
+      failed = row.name;
+      failure = err;
+      break;
+    }
+    rolledBack.push(row.name);
+  }
+
+  if (toRollback.length > 1 || failed) {
+    logger.log(chalk.bold("\nRollback summary:"));
+    rolledBack.forEach((name) => logger.log(chalk.green(`  ✔ ${name}`)));
+    if (failed) {
+      logger.log(chalk.red(`  ✖ ${failed}`));
+      const skipped = toRollback.length - rolledBack.length - 1;
+      if (skipped > 0) {
+        logger.log(
+          chalk.yellow(`  ${skipped} older migration(s) left untouched.`)
+        );
+      }
+    }
+  }
+
+  if (failure) {
+    failure.rolledBack = rolledBack;
+    throw failure;
+  }
+
+  return { rolledBack, failed };
+}
+
+function _resolveTargetMigration(target, knownNames) {
+  const wanted = String(target)
+    .trim()
+    .toLowerCase()
+    .replace(/\.(sql|js)$/, "");
+  const candidates = knownNames.filter((name) => {
+    const base = name.replace(/\.sql$/, "");
+    const [timestamp, ...rest] = base.split("_");
+    return base === wanted || timestamp === wanted || rest.join("_") === wanted;
+  });
+
+  if (candidates.length === 0) {
+    throw new MigrationStateError(`No migration matches target '${target}'.`, {
+      target,
+    });
+  }
+
+  if (candidates.length > 1) {
+    throw new MigrationStateError(
+      `Target '${target}' is ambiguous, it matches:\n${candidates
+        .map((c) => "  - " + c)
+        .join("\n")}\nUse the full migration name instead.`,
+      { target, candidates }
+    );
+  }
+
+  return candidates[0];
+}
+
+/**
+ * Land the database exactly on `target` (a migration name or its timestamp),
+ * applying pending migrations up to it or rolling back the ones after it
+ */
+export async function migrateTo(target, options = {}) {
+  return withMigrationLock(() => _migrateTo(target, options), options);
+}
+
+async function _migrateTo(target, { includeInitial = false } = {}) {
+  const migrationFiles = _listMigrationFiles();
+
+  const appliedRows = await _historyRows(`
+    SELECT * FROM ${getHistoryTable().name}
+    WHERE direction = 'up' AND rolled_back = false
+  `);
+  const appliedByName = new Map(appliedRows.map((row) => [row.name, row]));
+
+  const knownNames = [
+    ...new Set([...migrationFiles, ...appliedByName.keys()]),
+  ].sort();
+  const targetName = _resolveTargetMigration(target, knownNames);
+
+  // Newest first, so each rollback only ever undoes the latest schema state
+  const toRollback = knownNames
+    .filter((name) => name > targetName && appliedByName.has(name))
+    .reverse();
+  const toApply = migrationFiles.filter(
+    (name) => name <= targetName && !appliedByName.has(name)
+  );
+
+  if (toRollback.length === 0 && toApply.length === 0) {
+    logger.log(chalk.green(`✅ Database is already at ${targetName}.`));
+    return { target: targetName, rolledBack: [], applied: [] };
+  }
+
+  // Refuse before touching anything if a rollback in the chain is impossible
+  const missingDown = [];
+  for (const name of toRollback) {
+    const rollbackPath = path.join(
+      getMigrationsDir(),
+      name.replace(".sql", ".js")
+    );
+    const rollbackModule = fs.existsSync(rollbackPath)
+      ? await import(rollbackPath)
+      : null;
+    if (!rollbackModule?.down) missingDown.push(name.replace(".sql", ".js"));
+  }
+
+  if (missingDown.length > 0) {
+    throw new MigrationStateError(
+      `Cannot roll back to ${targetName}, missing down() for:\n${missingDown
+        .map((f) => "  - " + f)
+        .join("\n")}`,
+      { target: targetName, missingDown }
+    );
+  }
+
+  if (toRollback.length > 0) {
+    logger.log(
+      chalk.blue(
+        `\nRolling back ${toRollback.length} migrations to ${targetName}...`
+      )
+    );
+    for (const name of toRollback) {
+      try {
+        await _rollbackMigration(appliedByName.get(name));
+      } catch (err) {
+        logger.error(
+          chalk.red(
+            `❌ Stopped at ${name}; database was not moved to ${targetName}.`
+          )
+        );
+        throw err;
+      }
+    }
+  }
+
+  if (toApply.length > 0) {
+    logger.log(
+      chalk.blue(
+        `\nApplying ${toApply.length} migrations up to ${targetName}...`
+      )
+    );
+    for (const file of toApply) {
+      await _applyMigration(file, { includeInitial });
+    }
+  }
+
+  logger.log(chalk.green(`\n🎉 Database is now at ${targetName}.`));
+  return { target: targetName, rolledBack: toRollback, applied: toApply };
+}
+
+function _listMigrationFiles() {
+  if (!fs.existsSync(getMigrationsDir())) return [];
+  return fs
+    .readdirSync(getMigrationsDir())
+    .filter((f) => f.endsWith(".sql"))
+    .sort();
+}
+
+function _isFlagSet(value) {
+  // SQLite/MySQL hand back 0/1 (sometimes as strings), Postgres a boolean
+  return value === true || Number(value) === 1;
+}
+
+function _formatTimestamp(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+/**
+ * Read-only overview of every migration known locally or to the database
+ */
+export async function migrationStatus({ json = false } = {}) {
+  const migrationFiles = _listMigrationFiles();
+
+  const historyExists = await historyTableExists();
+  const rows = historyExists
+    ? await getAllRows(
+        `SELECT * FROM ${getHistoryTable().name} ORDER BY id ASC`
+      )
+    : [];
+
+  // A migration may be applied, rolled back and re-applied; the latest row wins
+  const latestRowByName = new Map();
+  for (const row of rows) latestRowByName.set(row.name, row);
+
+  // MySQL migrations that failed after committing some statements
+  const progressByName = new Map();
+  if (
+    historyExists &&
+    process.env.DATABASE_ENGINE === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL
+  ) {
+    const connection = await pool.getConnection();
+    try {
+      // `status` changes nothing, so the table isn't created here
+      if (await migrationProgressTableExists(connection)) {
+        for (const progress of await getAllMigrationProgress(connection)) {
+          progressByName.set(progress.name, progress);
+        }
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  const names = [
+    ...new Set([...migrationFiles, ...latestRowByName.keys()]),
+  ].sort();
+
+  const migrations = names.map((name) => {
+    const row = latestRowByName.get(name);
+    const progress = progressByName.get(name);
+    let state = "pending";
+    if (row) state = _isFlagSet(row.rolled_back) ? "rolled_back" : "applied";
+    if (state !== "applied" && progress) state = "partial";
+
+    const snapshot = readMigrationSnapshot(
+      getMigrationsDir(),
+      name,
+      getSnapshotFile()
+    );
+    const snapshotChecksum = snapshot ? generateChecksum(snapshot) : null;
+
+    return {
+      name,
+      state,
+      fileExists: migrationFiles.includes(name),
+      appliedAt: _formatTimestamp(row?.applied_at),
+      rolledBackAt: _formatTimestamp(row?.rolled_back_at),
+      executionMs: row?.execution_ms ?? null,
+      appliedBy: row?.applied_by ?? null,
+      checksumMatch:
+        row && snapshotChecksum ? row.checksum === snapshotChecksum : null,
+      ...(state === "partial" && {
+        statementsCommitted: progress.statements_done,
+        totalStatements: progress.total_statements,
+      }),
+    };
+  });
+
+  const summary = {
+    applied: migrations.filter((m) => m.state === "applied").length,
+    pending: migrations.filter((m) => m.state === "pending").length,
+    rolledBack: migrations.filter((m) => m.state === "rolled_back").length,
+    partial: migrations.filter((m) => m.state === "partial").length,
+  };
+  // Version of the history table itself, and upgrades it hasn't had yet
+  const historyVersion = await getHistorySchemaInfo();
+
+  if (json) {
+    logger.log(
+      JSON.stringify({ migrations, summary, historyVersion }, null, 2)
+    );
+    return { migrations, summary, historyVersion };
+  }
+
+  if (migrations.length === 0) {
+    logger.log(chalk.yellow("⚠️ No migration files found."));
+    return { migrations, summary, historyVersion };
+  }
+
+  const stateColor = {
+    applied: chalk.green,
+    pending: chalk.yellow,
+    rolled_back: chalk.magenta,
+    partial: chalk.red,
+  };
+  const header = [
+    "Migration",
+    "State",
+    "Applied at",
+    "Rolled back at",
+    "Checksum",
+  ];
+  const tableRows = migrations.map((m) => [
+    m.fileExists ? m.name : `${m.name} (missing file)`,
+    m.state === "partial"
+      ? `partial (${m.statementsCommitted}/${m.totalStatements})`
+      : m.state,
+    m.appliedAt || "-",
+    m.rolledBackAt || "-",
+    m.checksumMatch === null ? "-" : m.checksumMatch ? "match" : "mismatch",
+  ]);
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...tableRows.map((r) => r[i].length))
+  );
+  const formatRow = (cells) =>
+    cells.map((cell, i) => cell.padEnd(widths[i])).join("  ");
+
+  logger.log(chalk.bold(formatRow(header)));
+  for (const [index, cells] of tableRows.entries()) {
+    const line = formatRow(cells);
+    logger.log(stateColor[migrations[index].state](line));
+  }
+
+  logger.log(
+    `\n${summary.applied} applied, ${summary.pending} pending, ${summary.rolledBack} rolled back` +
+      (summary.partial
+        ? `, ${summary.partial} partially applied (run \`up --resume\`)`
+        : "")
+  );
+
+  if (historyVersion.version === null) {
+    logger.log(
+      chalk.gray("History table not created yet (the first `up` creates it).")
+    );
+  } else if (historyVersion.pendingUpgrades.length > 0) {
+    logger.log(
+      chalk.yellow(
+        `History table schema v${historyVersion.version}, upgrades pending (applied by the next \`up\`, \`migrate\` or \`init\`):`
+      )
+    );
+    for (const step of historyVersion.pendingUpgrades) {
+      logger.log(chalk.yellow(`  - v${step.version}: ${step.description}`));
+    }
+  } else {
+    logger.log(
+      chalk.gray(`History table schema v${historyVersion.version} (latest).`)
+    );
+  }
+
+  return { migrations, summary, historyVersion };
+}
+
+/**
+ * Compare every applied migration against its files on disk
+ */
+export async function verifyMigrations({ json = false } = {}) {
+  const rows = await _historyRows(`
+    SELECT * FROM ${getHistoryTable().name}
+    WHERE direction = 'up' AND rolled_back = false
+    ORDER BY id ASC
+  `);
+
+  const results = rows.map((row) => {
+    const filePath = path.join(getMigrationsDir(), row.name);
+    if (!fs.existsSync(filePath)) {
+      return { name: row.name, status: "missing" };
+    }
+    if (!row.file_checksum) {
+      // Applied before per-file checksums were recorded
+      return { name: row.name, status: "unverified" };
+    }
+    return {
+      name: row.name,
+      status:
+        generateFileChecksum(filePath) === row.file_checksum
+          ? "ok"
+          : "modified",
+    };
+  });
+
+  const modified = results.filter((r) => r.status === "modified");
+  const missing = results.filter((r) => r.status === "missing");
+  const unverified = results.filter((r) => r.status === "unverified");
+  const valid = modified.length === 0 && missing.length === 0;
+
+  if (json) {
+    logger.log(JSON.stringify({ valid, migrations: results }, null, 2));
+  } else if (results.length === 0) {
+    logger.log(chalk.yellow("⚠️ No applied migrations to verify."));
+  } else {
+    for (const { name, status } of results) {
+      if (status === "ok") logger.log(chalk.green(`  ✔ ${name}`));
+      if (status === "modified")
+        logger.log(
+          chalk.red(`  ✖ ${name} (changed on disk since it was applied)`)
+        );
+      if (status === "missing")
+        logger.log(
+          chalk.red(`  ✖ ${name} (recorded in database, missing locally)`)
+        );
+      if (status === "unverified")
+        logger.log(chalk.yellow(`  ? ${name} (no file checksum recorded)`));
+    }
+
+    if (unverified.length > 0) {
+      logger.log(
+        chalk.yellow(
+          `\n${unverified.length} migration(s) were applied before file checksums were recorded and cannot be verified.`
+        )
+      );
+    }
+
+    if (valid) {
+      logger.log(
+        chalk.green("\n✅ All applied migration files match the database.")
+      );
+    } else {
+      logger.error(
+        chalk.red(
+          `\n❌ ${modified.length} modified, ${missing.length} missing migration file(s). See TROUBLESHOOTING.md.`
+        )
+      );
+    }
+  }
+
+  // The CLI turns `valid: false` into a non-zero exit code
+  return { valid, migrations: results };
+}
@@ -0,0 +1,160 @@
+import { SUPPORTED_SQL_DIALECTS } from "./utils/constants.js";
+import { loadConfigFile, withConfig } from "./utils/config.js";
+import { ConfigError } from "./utils/errors.js";
+import { withLogger } from "./utils/logger.js";
+
+// The diff engine and @anclatechs/sql-buns read DATABASE_ENGINE once, so the
+// first call settles it for the whole process
+let processEngine = null;
+
+/**
+ * Programmatic counterpart of the CLI. Every method resolves with a plain
+ * result object and rejects with a MigrationError subclass; nothing here
+ * prompts or calls `process.exit`.
+ *
+ * Output is silent unless a `logger` (e.g. `console`) is given.
+ *
+ * Config and logger are process-wide while a call runs, so use one Migrator
+ * per process (or await each call before the next). All of them must use
+ * the same engine.
+ */
+export class Migrator {
+  constructor({
+    cwd,
+    configFile,
+    migrationsDir,
+    snapshotFile,
+    modelsPath,
+    historyTable,
+    historySchema,
+    engine,
+    logger = null,
+    lock = true,
+    lockTimeout,
+  } = {}) {
+    if (engine !== undefined && !SUPPORTED_SQL_DIALECTS.includes(engine)) {
+      throw new ConfigError(
+        `Unsupported engine '${engine}'. Use ${SUPPORTED_SQL_DIALECTS.join(
+          ", "
+        )}.`
+      );
+    }
+
+    this.configFile = configFile;
+    this.config = {
+      cwd,
+      migrationsDir,
+      snapshotFile,
+      modelsPath,
+      historyTable,
+      historySchema,
+    };
+    this.engine = engine;
+    this.logger = logger;
+    this.lockOptions = { lock, lockTimeout };
+  }
+
+  // Only a non-empty create reads the models file. `load` picks the module
+  // the command runs from; src/index.js opens the database pool
+  async _run(
+    command,
+    { needsModels = false, load = () => import("./index.js") } = {}
+  ) {
+    const engine = this.engine || process.env.DATABASE_ENGINE;
+    if (processEngine && engine !== processEngine) {
+      throw new ConfigError(
+        `This process already runs migrations on '${processEngine}'; a Migrator can't switch it to '${engine}'. Use a separate process per engine.`
+      );
+    }
+    if (engine) {
+      processEngine = engine;
+      process.env.DATABASE_ENGINE = engine;
+    }
+
+    // Loaded lazily, so importing the package for defineModel alone never
+    // opens a database pool
+    const commands = await load();
+    const { resolveModelsPath } = await import("./utils/resolveModelsPath.js");
+    await loadConfigFile({ cwd: this.config.cwd, configFile: this.configFile });
+
+    return withConfig(this.config, () =>
+      withLogger(this.logger, async () => {
+        if (needsModels) await resolveModelsPath();
+        return command(commands);
+      })
+    );
+  }
+
+  /** Create the history table now rather than on the first `up()` */
+  init() {
+    return this._run(async () => {
+      const { ensureHistoryTable } = await import("./utils/bootstrap.js");
+      return { historyTable: await ensureHistoryTable() };
+    });
+  }
+
+  /** Applied, pending, rolled-back (and MySQL partial) migrations */
+  status() {
+    return this._run((c) => c.migrationStatus());
+  }
+
+  /** Applied migrations whose files changed on disk or are missing */
+  verify() {
+    return this._run((c) => c.verifyMigrations());
+  }
+
+  /** Pending migrations and the statements `up()` would run */
+  plan({ includeInitial = false } = {}) {
+    return this._run((c) => c.planMigrations({ includeInitial }));
+  }
+
+  up({ includeInitial = false, resume = false } = {}) {
+    return this._run((c) =>
+      c.migrateUp({ includeInitial, resume, ...this.lockOptions })
+    );
+  }
+
+  down({ steps = 1, all = false } = {}) {
+    return this._run((c) => c.migrateDown({ steps, all, ...this.lockOptions }));
+  }
+
+  /** Apply or roll back until `target` is the latest applied migration */
+  to(target, { includeInitial = false } = {}) {
+    return this._run((c) =>
+      c.migrateTo(target, { includeInitial, ...this.lockOptions })
+    );
+  }
+
+  /**
+   * Diff models against the snapshot and write a migration. Never prompts:
+   * answer renames/rebuilds with `renames`, `renamesFile` or `assumeYes`.
+   */
+  create(
+    name,
+    {
+      empty = false,
+      stack = false,
+      assumeYes = false,
+      renames = [],
+      renamesFile = null,
+    } = {}
+  ) {
+    if (empty) {
+      return this._run((c) => c.createEmptyMigration(name), {
+        load: () => import("./utils/emptyMigration.js"),
+      });
+    }
+    return this._run(
+      (c) =>
+        c.createMigration(name, {
+          stack,
+          assumeYes,
+          interactive: false,
+          renames,
+          renamesFile,
+          ...this.lockOptions,
+        }),
+      { needsModels: true }
+    );
+  }
+}
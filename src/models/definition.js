@@ -66,6 +66,59 @@ function _formatSQLArray(statements) {
   return statements.map((sql) => _normalizeSQLForJSON(sql));
 }
 
+const REFERENTIAL_ACTIONS = [
+  "CASCADE",
+  "SET NULL",
+  "SET DEFAULT",
+  "RESTRICT",
+  "NO ACTION",
+];
+
+function _normalizeReferentialAction(value, key, where) {
+  if (value === undefined) return undefined;
+  const normalized = String(value).toUpperCase().replace(/_/g, " ");
+  if (!REFERENTIAL_ACTIONS.includes(normalized)) {
+    throw new Error(
+      `Invalid ${key} '${value}' in ${where}. Use one of: ${REFERENTIAL_ACTIONS.join(
+        ", "
+      )}`
+    );
+  }
+  return normalized;
+}
+
+function _normalizeReferences(modelName, fieldName, references) {
+  /**
+   * Field-level foreign key: `references: { model, column, onDelete,
+   * onUpdate, deferrable, name }`. `model` is a model or table name and
+   * `column` defaults to "id".
+   */
+  const where = `${modelName}.${fieldName}`;
+  if (!references || typeof references.model !== "string") {
+    throw new Error(`'references' in ${where} requires a 'model'.`);
+  }
+
+  const action = (key) =>
+    _normalizeReferentialAction(references[key], key, where);
+
+  const { deferrable } = references;
+  if (![undefined, false, true, "deferred", "immediate"].includes(deferrable)) {
+    throw new Error(
+      `Invalid deferrable '${deferrable}' in ${where}. Use true, "deferred" or "immediate".`
+    );
+  }
+
+  return _normalizeOptions({
+    model: references.model,
+    column: references.column || "id",
+    onDelete: action("onDelete"),
+    onUpdate: action("onUpdate"),
+    // true means INITIALLY DEFERRED
+    deferrable: deferrable === true ? "deferred" : deferrable || undefined,
+    name: references.name,
+  });
+}
+
 export const IntegerField = (options = {}) => {
   return _createField("INTEGER", options, {
     autoIncrement: false,
@@ -191,6 +244,10 @@ export const EnumField = (options = {}) => {
       default: def,
       null: rest.null,
       comment: rest.comment,
+      renamedFrom: rest.renamedFrom,
+      references: rest.references,
+      check: rest.check,
+      unique: rest.unique,
       dialect,
       enumTypeName,
     };
@@ -241,6 +298,32 @@ export function defineModel(name, fields, options = {}) {
   /** Normalize Fields */
  for (const [fieldName, fieldDef] of Object.entries(fields)) {
    const { type, ...options } = fieldDef;
+   if (options.references !== undefined) {
+     options.references = _normalizeReferences(
+       name,
+       fieldName,
+       options.references
+     );
+   }
+   if (
+     options.unique !== undefined &&
+     typeof options.unique !== "boolean" &&
+     !(typeof options.unique === "string" && options.unique)
+   ) {
+     throw new Error(
+       `'unique' in ${name}.${fieldName} must be true/false or a constraint name.`
+     );
+   }
+   // Resolved here so snapshots record the constraint's actual name. A bare
+   // `true` in an older snapshot means an unnamed inline UNIQUE.
+   if (options.unique === true && !options.primaryKey) {
+     options.unique = `uq_${meta?.tableName || name}_${fieldName}`;
+   }
+   if (options.check !== undefined && typeof options.check !== "string") {
+     throw new Error(
+       `'check' in ${name}.${fieldName} must be a SQL expression string.`
+     );
+   }
    if (typeof type === "function") {
      if (options.choices) {
        options.tableName = name;
@@ -249,7 +332,9 @@ export function defineModel(name, fields, options = {}) {
      normalizedFields[fieldName] = type(options);
    } else {
      // 22-01-2026 : I'm unsure of why i made some fields normalized with the type() constructor and this without. But I will get back to this
-     normalizedFields[fieldName] = fieldDef;
+     normalizedFields[fieldName] = options.references
+       ? { ...fieldDef, references: options.references }
+       : fieldDef;
    }
  }
 
@@ -259,12 +344,34 @@ export function defineModel(name, fields, options = {}) {
    * */
   if (relations) {
     for (const [relName, relConfig] of Object.entries(relations)) {
-      const { type, model, foreignKey, otherKey, through } = relConfig;
+      const {
+        type,
+        model,
+        foreignKey,
+        otherKey,
+        through,
+        onDelete,
+        onUpdate,
+      } = relConfig;
+      const where = `${name}.${relName}`;
 
       if (!["hasOne", "hasMany", "manyToMany"].includes(type)) {
-        throw new Error(
-          `Invalid relation type '${type}' in ${name}.${relName}`
-        );
+        throw new Error(`Invalid relation type '${type}' in ${where}`);
+      }
+
+      // `through` can also be a model, whose fields become extra columns
+      // of the join table
+      let throughTable = through;
+      let throughFields;
+      if (through && typeof through === "object") {
+        if (type !== "manyToMany" || !through.fields) {
+          throw new Error(
+            `'through' in ${where} must be a table name or a model from defineModel (manyToMany only).`
+          );
+        }
+        const throughJSON = through.toJSON ? through.toJSON() : through;
+        throughTable = through.meta?.tableName || through.name;
+        throughFields = throughJSON.fields;
       }
 
       normalizedRelations[relName] = {
@@ -272,7 +379,10 @@ export function defineModel(name, fields, options = {}) {
         model,
         foreignKey,
         otherKey,
-        through,
+        through: throughTable,
+        throughFields,
+        onDelete: _normalizeReferentialAction(onDelete, "onDelete", where),
+        onUpdate: _normalizeReferentialAction(onUpdate, "onUpdate", where),
       };
     }
   }
@@ -302,6 +412,52 @@ export function defineModel(name, fields, options = {}) {
     }
   }
 
+  /**
+   *  Validate CHECK constraints (`meta.checks`)
+   *  */
+  if (meta?.checks !== undefined) {
+    if (!Array.isArray(meta.checks)) {
+      throw new Error(`meta.checks in ${name} must be an array.`);
+    }
+    for (const check of meta.checks) {
+      if (!check?.name || typeof check.expression !== "string") {
+        throw new Error(
+          `Each of meta.checks in ${name} needs a 'name' and an 'expression'.`
+        );
+      }
+    }
+  }
+
+  /**
+   *  Normalize composite UNIQUE constraints (`meta.uniqueTogether`).
+   *  Each entry is a list of fields or { fields, name }
+   *  */
+  let normalizedMeta = meta || {};
+  if (meta?.uniqueTogether !== undefined) {
+    if (!Array.isArray(meta.uniqueTogether)) {
+      throw new Error(`meta.uniqueTogether in ${name} must be an array.`);
+    }
+    const uniqueTogether = meta.uniqueTogether.map((entry) => {
+      const unique = Array.isArray(entry) ? { fields: entry } : entry;
+      if (!Array.isArray(unique?.fields) || unique.fields.length === 0) {
+        throw new Error(
+          `Each of meta.uniqueTogether in ${name} needs a list of fields.`
+        );
+      }
+      for (const field of unique.fields) {
+        if (!fields[field]) {
+          throw new Error(
+            `meta.uniqueTogether in ${name} references unknown field "${field}".`
+          );
+        }
+      }
+      return unique.name
+        ? { fields: unique.fields, name: unique.name }
+        : { fields: unique.fields };
+    });
+    normalizedMeta = { ...meta, uniqueTogether };
+  }
+
   /**
    *  Model Object
    *  */
@@ -310,7 +466,7 @@ export function defineModel(name, fields, options = {}) {
     fields: normalizedFields,
     relations: normalizedRelations,
     triggers: normalizedTriggers,
-    meta: meta || {},
+    meta: normalizedMeta,
     methods: {},
   };
 
@@ -0,0 +1,332 @@
+import chalk from "chalk";
+import { pool } from "@anclatechs/sql-buns";
+import {
+  SUPPORTED_SQL_DIALECTS,
+  SUPPORTED_SQL_DIALECTS_TYPES,
+} from "./constants.js";
+import { getHistoryTable } from "./historyTable.js";
+import { ConfigError, MigrationError } from "./errors.js";
+import { logger } from "./logger.js";
+
+/**
+ * The history table is created on first use by the commands that write to
+ * it (`init`, `up`, `migrate`). Read-only commands treat a missing table as
+ * "nothing applied yet" instead of creating it.
+ *
+ * The table carries its own schema version in `<historyTable>_meta`. A fresh
+ * table is created at the latest version; an older one is brought up to date
+ * by the steps in HISTORY_UPGRADES, oldest first.
+ */
+
+// Version 1 is the table as the first releases created it
+const BASE_SCHEMA_VERSION = 1;
+
+// History tables already created/upgraded by this process
+const bootstrapped = new Set();
+
+export function assertSupportedEngine() {
+  const dbType = process.env.DATABASE_ENGINE;
+  if (!SUPPORTED_SQL_DIALECTS.includes(dbType)) {
+    throw new ConfigError(
+      `${dbType} DATABASE_ENGINE not supported. Review .env file.`
+    );
+  }
+  return dbType;
+}
+
+async function _execute(dbType, sql, params = []) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+    return pool.run(sql, params);
+  }
+  return pool.query(sql, params);
+}
+
+async function _selectRows(dbType, sql, params = []) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    const { rows } = await pool.query(sql, params);
+    return rows;
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    const [rows] = await pool.query(sql, params);
+    return rows;
+  }
+  return pool.all(sql, params);
+}
+
+async function _tableExists(dbType, schema, table) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    const [row] = await _selectRows(dbType, `SELECT to_regclass($1) AS oid`, [
+      schema ? `${schema}.${table}` : table,
+    ]);
+    return row.oid !== null;
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    const rows = await _selectRows(
+      dbType,
+      `SELECT TABLE_NAME FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = COALESCE(?, DATABASE()) AND TABLE_NAME = ?;`,
+      [schema, table]
+    );
+    return rows.length > 0;
+  }
+  const rows = await _selectRows(
+    dbType,
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?;`,
+    [table]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Upgrade steps only ever add nullable columns, and each one checks first,
+ * so re-running a step (e.g. after a crash before the version was saved) is
+ * harmless.
+ */
+async function _addColumnIfMissing(dbType, history, column, definition) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    await pool.query(
+      `ALTER TABLE ${history.name} ADD COLUMN IF NOT EXISTS ${column} ${definition};`
+    );
+    return;
+  }
+
+  let exists;
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    const rows = await _selectRows(
+      dbType,
+      `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = COALESCE(?, DATABASE()) AND TABLE_NAME = ? AND COLUMN_NAME = ?;`,
+      [history.schema, history.table, column]
+    );
+    exists = rows.length > 0;
+  } else {
+    const columns = await pool.all(`PRAGMA table_info(${history.name});`);
+    exists = columns.some((c) => c.name === column);
+  }
+
+  if (!exists) {
+    await _execute(
+      dbType,
+      `ALTER TABLE ${history.name} ADD COLUMN ${column} ${definition};`
+    );
+  }
+}
+
+/**
+ * Changes to the history table, in order. Add new columns to the CREATE
+ * TABLE statements below as well, so fresh installs start at the latest
+ * version.
+ */
+export const HISTORY_UPGRADES = [
+  {
+    version: 2,
+    description: "record per-file checksums (file_checksum)",
+    up: (dbType, history) =>
+      _addColumnIfMissing(dbType, history, "file_checksum", "VARCHAR(64)"),
+  },
+  {
+    version: 3,
+    description: "record how long each migration took (execution_ms)",
+    up: (dbType, history) =>
+      _addColumnIfMissing(
+        dbType,
+        history,
+        "execution_ms",
+        dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL ? "INT" : "INTEGER"
+      ),
+  },
+  {
+    version: 4,
+    description: "record who applied each migration (applied_by)",
+    up: (dbType, history) =>
+      _addColumnIfMissing(dbType, history, "applied_by", "VARCHAR(255)"),
+  },
+];
+
+export const LATEST_SCHEMA_VERSION =
+  HISTORY_UPGRADES[HISTORY_UPGRADES.length - 1].version;
+
+async function _ensureMetaTable(dbType, history) {
+  await _execute(
+    dbType,
+    `CREATE TABLE IF NOT EXISTS ${history.metaTable} (
+      name VARCHAR(64) PRIMARY KEY,
+      value VARCHAR(255) NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );`
+  );
+}
+
+/**
+ * Schema version of an existing history table. Tables from before the meta
+ * table existed count as the base version.
+ */
+async function _readSchemaVersion(dbType, history) {
+  if (!(await _tableExists(dbType, history.schema, `${history.table}_meta`))) {
+    return BASE_SCHEMA_VERSION;
+  }
+  const placeholder =
+    dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES ? "$1" : "?";
+  const [row] = await _selectRows(
+    dbType,
+    `SELECT value FROM ${history.metaTable} WHERE name = ${placeholder};`,
+    ["schema_version"]
+  );
+  return row ? Number(row.value) : BASE_SCHEMA_VERSION;
+}
+
+async function _writeSchemaVersion(dbType, history, version) {
+  const params = ["schema_version", String(version)];
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    await pool.query(
+      `INSERT INTO ${history.metaTable} (name, value) VALUES ($1, $2)
+       ON CONFLICT (name) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP;`,
+      params
+    );
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    await pool.query(
+      `INSERT INTO ${history.metaTable} (name, value) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = CURRENT_TIMESTAMP;`,
+      params
+    );
+  } else {
+    await pool.run(
+      `INSERT INTO ${history.metaTable} (name, value) VALUES (?, ?)
+       ON CONFLICT (name) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP;`,
+      params
+    );
+  }
+}
+
+async function _createHistoryTable(dbType, history) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ${history.name} (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        previous_checksum VARCHAR(64),
+        file_checksum VARCHAR(64),
+        direction VARCHAR(10) CHECK (direction IN ('up', 'down')) DEFAULT 'up' NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rolled_back BOOLEAN DEFAULT FALSE,
+        rolled_back_at TIMESTAMP,
+        execution_ms INTEGER,
+        applied_by VARCHAR(255)
+      );
+    `);
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ${history.name} (
+        id INTEGER AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        previous_checksum VARCHAR(64),
+        file_checksum VARCHAR(64),
+        direction VARCHAR(10) CHECK (direction IN ('up', 'down')) DEFAULT 'up' NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rolled_back BOOLEAN DEFAULT FALSE,
+        rolled_back_at TIMESTAMP,
+        execution_ms INT,
+        applied_by VARCHAR(255)
+      );
+    `);
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+    await pool.run(`
+      CREATE TABLE IF NOT EXISTS ${history.name} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        previous_checksum VARCHAR(64),
+        file_checksum VARCHAR(64),
+        direction VARCHAR(10) CHECK (direction IN ('up', 'down')) DEFAULT 'up' NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        rolled_back INTEGER DEFAULT 0,
+        rolled_back_at TIMESTAMP,
+        execution_ms INTEGER,
+        applied_by VARCHAR(255)
+      );
+    `);
+  }
+}
+
+/**
+ * Whether the history table exists, without creating it
+ */
+export async function historyTableExists() {
+  const dbType = assertSupportedEngine();
+  const history = getHistoryTable();
+  if (bootstrapped.has(history.name)) return true;
+  return _tableExists(dbType, history.schema, history.table);
+}
+
+/**
+ * Schema version of the history table and the upgrades it still needs,
+ * without changing anything (for `status`)
+ */
+export async function getHistorySchemaInfo() {
+  const dbType = assertSupportedEngine();
+  const history = getHistoryTable();
+
+  const version = (await historyTableExists())
+    ? await _readSchemaVersion(dbType, history)
+    : null;
+  const pendingUpgrades =
+    version === null
+      ? []
+      : HISTORY_UPGRADES.filter((step) => step.version > version).map(
+          ({ version, description }) => ({ version, description })
+        );
+
+  return { version, latestVersion: LATEST_SCHEMA_VERSION, pendingUpgrades };
+}
+
+/**
+ * Create the history table (and its schema and index) if missing, or apply
+ * any upgrade steps it hasn't had yet. Runs once per process.
+ */
+export async function ensureHistoryTable() {
+  const dbType = assertSupportedEngine();
+  const history = getHistoryTable();
+  if (bootstrapped.has(history.name)) return history.name;
+
+  try {
+    // Postgres schema / MySQL database for the history table
+    if (history.schema) {
+      await pool.query(`CREATE SCHEMA IF NOT EXISTS ${history.schema};`);
+    }
+
+    const existed = await _tableExists(dbType, history.schema, history.table);
+    const current = existed
+      ? await _readSchemaVersion(dbType, history)
+      : LATEST_SCHEMA_VERSION;
+
+    await _createHistoryTable(dbType, history);
+    await _execute(
+      dbType,
+      `CREATE INDEX IF NOT EXISTS ${history.indexName} ON ${history.name} (name);`
+    );
+    await _ensureMetaTable(dbType, history);
+
+    for (const step of HISTORY_UPGRADES) {
+      if (step.version <= current) continue;
+      logger.log(
+        chalk.cyan(
+          `🔧 Upgrading ${history.name} to v${step.version}: ${step.description}`
+        )
+      );
+      await step.up(dbType, history);
+      await _writeSchemaVersion(dbType, history, step.version);
+    }
+
+    if (!existed) {
+      await _writeSchemaVersion(dbType, history, LATEST_SCHEMA_VERSION);
+    }
+  } catch (err) {
+    throw new MigrationError(
+      `Unable to initialize/connect to migration table: ${err.message}`,
+      { cause: err }
+    );
+  }
+
+  bootstrapped.add(history.name);
+  return history.name;
+}
@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { DEFAULT_LOCK_TIMEOUT } from "./constants.js";
+import { ConfigError } from "./errors.js";
+
+export const CONFIG_FILE_NAME = "buns-migrate.config.js";
+const DEFAULT_MIGRATIONS_DIR = path.join("database", "migrations");
+const DEFAULT_MODELS_PATH = path.join("database", "models", "index.js");
+
+// Set for the duration of a Migrator call
+let overrides = {};
+// Contents of buns-migrate.config.js, once loaded
+let fileConfig = {};
+
+function _readPackageConfig(root) {
+  const pkgPath = path.join(root, "package.json");
+  if (!fs.existsSync(pkgPath)) return {};
+  return JSON.parse(fs.readFileSync(pkgPath, "utf-8"))?.sqlBuns || {};
+}
+
+/**
+ * Load `buns-migrate.config.js` from the project root, or `configFile` when
+ * given (then it must exist). Its default export is a plain object.
+ */
+export async function loadConfigFile({ cwd, configFile } = {}) {
+  const root = path.resolve(cwd || process.cwd());
+  const filePath = configFile
+    ? path.resolve(root, configFile)
+    : path.join(root, CONFIG_FILE_NAME);
+
+  if (!fs.existsSync(filePath)) {
+    if (configFile) throw new ConfigError(`Config file not found: ${filePath}`);
+    fileConfig = {};
+    return fileConfig;
+  }
+
+  const configModule = await import(pathToFileURL(filePath).href);
+  const loaded = configModule.default ?? configModule;
+  if (!loaded || typeof loaded !== "object") {
+    throw new ConfigError(`${filePath} must export a config object.`);
+  }
+
+  fileConfig = { ...loaded };
+  return fileConfig;
+}
+
+/**
+ * Effective settings. Each key comes from the first of: Migrator options,
+ * buns-migrate.config.js, package.json `sqlBuns`, defaults. Relative paths
+ * resolve against the project root (`cwd`, default: the current directory).
+ */
+export function resolveConfig() {
+  const root = path.resolve(overrides.cwd || process.cwd());
+  const pkgConfig = _readPackageConfig(root);
+  const pick = (key) => overrides[key] ?? fileConfig[key] ?? pkgConfig[key];
+
+  const migrationsDir = path.resolve(
+    root,
+    pick("migrationsDir") || DEFAULT_MIGRATIONS_DIR
+  );
+  const snapshotFile = pick("snapshotFile");
+
+  return {
+    root,
+    migrationsDir,
+    snapshotFile: snapshotFile
+      ? path.resolve(root, snapshotFile)
+      : path.join(migrationsDir, "schema_snapshot.json"),
+    modelsPath: path.resolve(root, pick("modelsPath") || DEFAULT_MODELS_PATH),
+    historyTable: pick("historyTable"),
+    historySchema: pick("historySchema"),
+  };
+}
+
+export function getMigrationsDir() {
+  return resolveConfig().migrationsDir;
+}
+
+export function getSnapshotFile() {
+  return resolveConfig().snapshotFile;
+}
+
+/**
+ * Seconds to wait for the migration lock: `value` (`--lock-timeout` or the
+ * `lockTimeout` option) when given, else BUNS_MIGRATE_LOCK_TIMEOUT, else 60.
+ * Read when needed, so a .env loaded by the CLI still counts. 0 means don't
+ * wait.
+ */
+export function resolveLockTimeout(value) {
+  let source = "--lock-timeout";
+  if (value === undefined || value === null) {
+    const fromEnv = process.env.BUNS_MIGRATE_LOCK_TIMEOUT;
+    if (fromEnv === undefined || fromEnv.trim() === "") {
+      return DEFAULT_LOCK_TIMEOUT;
+    }
+    value = fromEnv;
+    source = "BUNS_MIGRATE_LOCK_TIMEOUT";
+  }
+
+  // Number("") and Number(" ") are 0, so blank strings don't get that far
+  const seconds =
+    typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof seconds !== "number" || !Number.isFinite(seconds) || seconds < 0) {
+    throw new ConfigError(
+      `${source} must be a number of seconds (0 or more), got "${value}".`
+    );
+  }
+  return seconds;
+}
+
+function _mergeOverrides(base, config) {
+  return {
+    ...base,
+    ...Object.fromEntries(
+      Object.entries(config || {}).filter(([, value]) => value !== undefined)
+    ),
+  };
+}
+
+/**
+ * Layer `config` over the other sources for the rest of the process (CLI)
+ */
+export function configure(config) {
+  overrides = _mergeOverrides(overrides, config);
+}
+
+/**
+ * Run `fn` with `config` layered over the other sources
+ */
+export async function withConfig(config, fn) {
+  const previous = overrides;
+  overrides = _mergeOverrides(previous, config);
+  try {
+    return await fn();
+  } finally {
+    overrides = previous;
+  }
+}
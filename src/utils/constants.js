@@ -4,4 +4,8 @@ export const SUPPORTED_SQL_DIALECTS_TYPES = {
   SQLITE: "sqlite",
   MYSQL: "mysql",
 };
-export const INITIAL_INSPECTDB_MARKER = "0000_initial_inspectdb";
\ No newline at end of file
+export const INITIAL_INSPECTDB_MARKER = "0000_initial_inspectdb";
+
+// Seconds to wait for another process's migration lock, unless
+// BUNS_MIGRATE_LOCK_TIMEOUT says otherwise (see resolveLockTimeout)
+export const DEFAULT_LOCK_TIMEOUT = 60;
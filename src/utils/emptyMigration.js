@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { getMigrationsDir, getSnapshotFile } from "./config.js";
+import { ConfigError } from "./errors.js";
+import { logger } from "./logger.js";
+import { migrationSnapshotPath, writeMigrationSnapshot } from "./snapshots.js";
+import {
+  buildEmptyMigrationModule,
+  buildEmptyMigrationSql,
+} from "./migrationTemplate.js";
+import { INITIAL_INSPECTDB_MARKER } from "./constants.js";
+
+// Nothing in here touches the database driver, so `create --empty` works
+// without one
+
+// This package's own package.json, wherever the command runs from
+const pkgPath = new URL("../../package.json", import.meta.url);
+const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf-8"));
+const sqlBunsMigrateCurrentversion = pkg?.version || "p1";
+
+export function sanitizeMigrationName(name) {
+  /**
+   * 1. Replace special characters with underscore
+   * 2. Remove leading/trailing underscores
+   */
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+export function assertMigrationNameAllowed(name) {
+  // Assert that the migration name is not a reserved keyword
+  if (sanitizeMigrationName(name).toLowerCase() === INITIAL_INSPECTDB_MARKER) {
+    throw new ConfigError(
+      `The migration name '${INITIAL_INSPECTDB_MARKER}' is reserved.\n` +
+        "This name is used internally to detect auto-generated databases.\n" +
+        "Please choose a different name."
+    );
+  }
+}
+
+/**
+ * Write a hand-written SQL/JS migration pair without diffing models.
+ * The schema snapshot is left untouched; the migration's own sidecar copies
+ * it, so later snapshots don't change the checksum it was applied with.
+ */
+export async function createEmptyMigration(name) {
+  // CHECK DIRECTORY
+  const migrationsDir = getMigrationsDir();
+  if (!fs.existsSync(migrationsDir))
+    fs.mkdirSync(migrationsDir, { recursive: true });
+
+  assertMigrationNameAllowed(name);
+
+  const timestamp = Date.now();
+  const filename = `${timestamp}_${sanitizeMigrationName(name)}.sql`;
+  const moduleFilename = `${timestamp}_${sanitizeMigrationName(name)}.js`;
+
+  const sqlPath = path.join(migrationsDir, filename);
+  const modulePath = path.join(migrationsDir, moduleFilename);
+  fs.writeFileSync(
+    sqlPath,
+    buildEmptyMigrationSql({ version: sqlBunsMigrateCurrentversion })
+  );
+  fs.writeFileSync(
+    modulePath,
+    buildEmptyMigrationModule({
+      filename,
+      version: sqlBunsMigrateCurrentversion,
+    })
+  );
+
+  // Models didn't change, so the schema after it is the latest one
+  const schema = fs.existsSync(getSnapshotFile())
+    ? JSON.parse(fs.readFileSync(getSnapshotFile(), "utf-8"))
+    : {};
+  writeMigrationSnapshot(migrationsDir, filename, schema);
+
+  logger.log(chalk.green(`✅ Empty migration created: ${filename}`));
+  logger.log(
+    chalk.cyan(
+      `   Write SQL in ${filename} and/or JavaScript in ${moduleFilename}`
+    )
+  );
+
+  return {
+    created: true,
+    name: filename,
+    files: {
+      sql: sqlPath,
+      js: modulePath,
+      snapshot: migrationSnapshotPath(migrationsDir, filename),
+    },
+  };
+}
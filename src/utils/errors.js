@@ -0,0 +1,87 @@
+/**
+ * Every failure the migrator reports is a MigrationError with a stable `code`.
+ * The CLI prints the message and exits; the Migrator API lets it propagate.
+ */
+export class MigrationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = "MIGRATION_ERROR";
+    Object.assign(this, details);
+  }
+}
+
+/** Invalid options, engine or file locations */
+export class ConfigError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "CONFIG_ERROR";
+  }
+}
+
+/** Migration files and the history table disagree (unapplied, unknown target, ...) */
+export class MigrationStateError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "MIGRATION_STATE";
+  }
+}
+
+/** Models can't be turned into valid SQL */
+export class SchemaValidationError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "SCHEMA_INVALID";
+  }
+}
+
+/** The database changed outside of migrations. `statements` holds the diff */
+export class SchemaDriftError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "SCHEMA_DRIFT";
+  }
+}
+
+/** A question needed an answer and prompting was disabled */
+export class PromptRequiredError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "PROMPT_REQUIRED";
+  }
+}
+
+/** A confirmation prompt was declined */
+export class MigrationCancelledError extends MigrationError {
+  constructor(message = "Operation cancelled.", details) {
+    super(message, details);
+    this.code = "CANCELLED";
+  }
+}
+
+/** Another process held the migration lock for longer than the timeout */
+export class LockTimeoutError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "LOCK_TIMEOUT";
+  }
+}
+
+/**
+ * Applying `file` failed. `statement` is the failing statement when known,
+ * `committedStatements` how many MySQL kept, `cause` the driver error.
+ */
+export class MigrationFailedError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "MIGRATION_FAILED";
+  }
+}
+
+/** A down() failed; `rolledBack` lists what was rolled back before it */
+export class RollbackFailedError extends MigrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "ROLLBACK_FAILED";
+  }
+}
@@ -136,6 +136,20 @@ export function extractSchemas(modelsModule) {
         }
       }
     }
+
+    // Field-level foreign keys: the referenced model is created first
+    for (const field of Object.values(schema.fields || {})) {
+      const ref = field.references;
+      if (!ref) continue;
+      const match = Object.keys(modelsModule).find((key) => {
+        const target = modelsModule[key];
+        return (
+          key !== name &&
+          (target.name === ref.model || target.meta?.tableName === ref.model)
+        );
+      });
+      if (match) dependencyGraph[name].add(match);
+    }
   }
 
   const sorted = schemaTopologicalSort(dependencyGraph);
@@ -1,4 +1,5 @@
 import crypto from "crypto";
+import fs from "fs";
 
 function canonicalize(obj) {
   if (obj === null || typeof obj !== "object") {
@@ -53,4 +54,66 @@ export function generateEnumTypeName(table, column, choices) {
     .slice(0, 8);
 
   return `enum_${base}_${hash}`;
-}
\ No newline at end of file
+}
+
+/**
+ * True when a function body holds nothing but whitespace/comments,
+ * e.g. the generated `up() {/**Go to file: ...*\/}` placeholder
+ */
+export function isEmptyFunction(fn) {
+  const source = Function.prototype.toString.call(fn);
+  const paramsEnd = source.indexOf(")");
+  const bodyStart = source.indexOf("{", paramsEnd);
+
+  // Arrow function with an expression body always does something
+  const arrowIndex = source.indexOf("=>", paramsEnd);
+  if (arrowIndex !== -1 && source.slice(arrowIndex + 2).trim()[0] !== "{") {
+    return false;
+  }
+  if (bodyStart === -1) return false;
+
+  const body = source.slice(bodyStart + 1, source.lastIndexOf("}"));
+  return (
+    body
+      .replace(/\/\*[\s\S]*?\*\//g, "")
+      .replace(/\/\/[^\n]*/g, "")
+      .trim() === ""
+  );
+}
+
+export function stripSqlComments(sql) {
+  return String(sql)
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/--[^\n]*/g, "");
+}
+
+export function hasExecutableSql(sql) {
+  return stripSqlComments(sql).replace(/;/g, "").trim() !== "";
+}
+
+/**
+ * MySQL commits the open transaction before (and after) DDL and a few
+ * other statements, so nothing around them can be rolled back
+ */
+export function causesImplicitCommitOnMySQL(sql) {
+  return /^\s*(ALTER|CREATE|DROP|RENAME|TRUNCATE|GRANT|REVOKE|LOCK|UNLOCK|START|BEGIN|COMMIT|ANALYZE|OPTIMIZE|REPAIR|FLUSH|INSTALL|UNINSTALL|LOAD\s+INDEX|SET\s+PASSWORD)\b/i.test(
+    stripSqlComments(sql)
+  );
+}
+
+/**
+ * Content hash of a migration's `.sql` file and its paired `.js` module,
+ * independent of the schema snapshot
+ */
+export function generateFileChecksum(sqlPath) {
+  const hash = crypto.createHash("sha256");
+  hash.update(fs.readFileSync(sqlPath, "utf-8"));
+
+  const modulePath = sqlPath.replace(/\.sql$/, ".js");
+  if (fs.existsSync(modulePath)) {
+    hash.update("\0");
+    hash.update(fs.readFileSync(modulePath, "utf-8"));
+  }
+
+  return hash.digest("hex");
+}
@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import { SUPPORTED_SQL_DIALECTS_TYPES } from "./constants.js";
+import { resolveConfig } from "./config.js";
+import { ConfigError } from "./errors.js";
+
+/**
+ * Where the migration history lives. `historyTable` and `historySchema` come
+ * from the usual config sources, so several services can share one database
+ * and each keep their own history. The progress and meta tables, lock and
+ * index names are derived from it; the defaults keep the names older
+ * versions used.
+ */
+export const DEFAULT_HISTORY_TABLE = "_sqlbuns_migrations";
+const DEFAULT_PROGRESS_TABLE = "_sqlbuns_migration_progress";
+const DEFAULT_INDEX_NAME = "idx_migrations_name";
+// Arbitrary fixed key for the default history table (Postgres)
+const DEFAULT_PG_LOCK_KEY = 72707369;
+
+// Names end up unquoted in SQL, so keep them to plain identifiers
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export function getHistoryTable() {
+  const { historyTable, historySchema } = resolveConfig();
+  const table = historyTable || DEFAULT_HISTORY_TABLE;
+  const schema = historySchema || null;
+
+  if (!IDENTIFIER.test(table)) {
+    throw new ConfigError(
+      `historyTable "${table}" must be a plain identifier (letters, digits, underscores).`
+    );
+  }
+  if (schema !== null) {
+    if (!IDENTIFIER.test(schema)) {
+      throw new ConfigError(
+        `historySchema "${schema}" must be a plain identifier (letters, digits, underscores).`
+      );
+    }
+    if (process.env.DATABASE_ENGINE === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+      throw new ConfigError(
+        "historySchema is not supported on SQLite, set historyTable only."
+      );
+    }
+  }
+
+  const isDefault = table === DEFAULT_HISTORY_TABLE && schema === null;
+  const qualify = (name) => (schema ? `${schema}.${name}` : name);
+
+  return {
+    table,
+    schema,
+    // Use these in SQL
+    name: qualify(table),
+    progressTable: qualify(
+      isDefault ? DEFAULT_PROGRESS_TABLE : `${table}_progress`
+    ),
+    lockName: qualify(`${table}_lock`),
+    // Schema version of the history table itself, see bootstrap.js
+    metaTable: qualify(`${table}_meta`),
+    // Postgres puts an index in its table's schema, so it stays unqualified
+    indexName: isDefault ? DEFAULT_INDEX_NAME : `idx_${table}_name`,
+    pgLockKey: isDefault
+      ? DEFAULT_PG_LOCK_KEY
+      : crypto
+          .createHash("sha256")
+          .update(qualify(table))
+          .digest()
+          // Non-negative, so pg_locks shows it as `objid` with `classid = 0`
+          .readUInt32BE(0) >>> 1,
+  };
+}
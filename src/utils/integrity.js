@@ -2,13 +2,25 @@ import chalk from "chalk";
 import { getSingleRow, RecordDoesNotExist } from "@anclatechs/sql-buns";
 import { diffSchemas } from "./schemaDiffConstructor.js";
 import { generateChecksum } from "./generics.js";
+import { readMigrationSnapshot } from "./snapshots.js";
+import { SchemaDriftError } from "./errors.js";
+import { getHistoryTable } from "./historyTable.js";
+import { historyTableExists } from "./bootstrap.js";
+import { logger } from "./logger.js";
+
+export async function inspectDBForDrift(
+  oldSchema,
+  newSchema,
+  { migrationsDir, snapshotFile } = {}
+) {
+  // Nothing applied yet, nothing to drift from
+  if (!(await historyTableExists())) return null;
 
-export async function inspectDBForDrift(oldSchema, newSchema) {
   // Fetch last applied migration
   let lastMigration;
   try {
     lastMigration = await getSingleRow(`
-  SELECT * FROM _sqlbuns_migrations
+  SELECT * FROM ${getHistoryTable().name}
   WHERE direction = 'up' AND rolled_back = false
   ORDER BY applied_at DESC
   LIMIT 1;
@@ -19,31 +31,33 @@ export async function inspectDBForDrift(oldSchema, newSchema) {
   }
 
   if (!lastMigration) {
-    console.warn("No previous migrations found, skipping drift check.");
+    logger.warn("No previous migrations found, skipping drift check.");
     return;
   }
 
-  // Compare checksum from DB vs locally stored schema hash
+  // Compare checksum from DB vs the snapshot recorded with that migration
   const { checksum } = lastMigration;
 
-  const localChecksum = generateChecksum(oldSchema);
+  const appliedSchema = migrationsDir
+    ? readMigrationSnapshot(migrationsDir, lastMigration.name, snapshotFile)
+    : null;
+  const localChecksum = generateChecksum(appliedSchema || oldSchema);
 
   if (localChecksum !== checksum) {
-    console.error(chalk.red("\nSchema drift detected!"));
-    console.error(
+    logger.error(chalk.red("\nSchema drift detected!"));
+    logger.error(
       chalk.red("Your database structure differs from the last known schema.")
     );
 
     // Optional: auto-generate SQL diff
     const diff = await diffSchemas(oldSchema, newSchema);
-    console.log("Detected DB changes that didn’t go through migration files:");
-    diff.sql.forEach((q) => console.log("   -", q));
+    logger.log("Detected DB changes that didn’t go through migration files:");
+    diff.sql.forEach((q) => logger.log("   -", q));
 
-    console.log(
-      "\n💡 Recommendation: revert manual DB changes and reapply using `buns-migrate up`."
+    throw new SchemaDriftError(
+      "Schema drift detected! Revert manual DB changes and reapply using `buns-migrate up`.",
+      { statements: diff.sql }
     );
-
-    process.exit(1);
   } else {
     // PASS
   }
@@ -3,42 +3,27 @@ import path from "path";
 import chalk from "chalk";
 import readline from "readline";
 import { pool } from "@anclatechs/sql-buns";
-import { generateChecksum } from "./generics.js";
 import {
   INITIAL_INSPECTDB_MARKER,
   SUPPORTED_SQL_DIALECTS,
   SUPPORTED_SQL_DIALECTS_TYPES,
 } from "./constants.js";
-import {
-  extractSchemas,
-  normalizeSchemasForChecksum,
-} from "./extractSchema.js";
+import { extractSchemas } from "./extractSchema.js";
 import { modelDataToJSON } from "./serializeModelToJson.js";
 import { loadModels } from "./loadModels.js";
 import { diffSchemas } from "./schemaDiffConstructor.js";
-
-const pkgPath = path.join(process.cwd(), "package.json");
+import { buildMigrationModule } from "./migrationTemplate.js";
+import { writeMigrationSnapshot } from "./snapshots.js";
+import { resolveConfig } from "./config.js";
+import { getHistoryTable } from "./historyTable.js";
+import { ensureHistoryTable } from "./bootstrap.js";
+
+// This package's own package.json, wherever the command runs from
+const pkgPath = new URL("../../package.json", import.meta.url);
 const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf-8"));
 const sqlBunsMigrateCurrentversion = pkg?.version || "p1";
-const userPath = pkg?.sqlBuns?.modelsPath;
 const CHARFIELD_STRING = "CharField";
 
-const defaultPath = path.join(process.cwd(), "database", "models", "index.js");
-
-const resolvedModelPath = userPath
-  ? path.resolve(process.cwd(), userPath)
-  : defaultPath;
-
-if (!fs.existsSync(resolvedModelPath)) {
-  throw new Error(
-    `❌ Please create database/models/index.js in your root folder or set "sqlBuns.modelsPath" in package.json`
-  );
-}
-
-const MIGRATIONS_DIR = path.join(process.cwd(), "database/migrations");
-const SNAPSHOT_FILE = path.join(MIGRATIONS_DIR, "schema_snapshot.json");
-const MODELS_PATH = resolvedModelPath;
-
 /**
  * Prompt for confirmation before overwriting models/index.js
  */
@@ -105,6 +90,16 @@ export async function inspectdb() {
       tables = res.map((r) => r.name);
     }
 
+    // Our own bookkeeping tables aren't part of the app's models
+    const history = getHistoryTable();
+    const internalTables = [
+      history.name,
+      history.progressTable,
+      history.lockName,
+      history.metaTable,
+    ].map((name) => name.split(".").pop());
+    tables = tables.filter((t) => !internalTables.includes(t));
+
     if (tables.length === 0) {
       console.log("No tables found in this database.");
       return;
@@ -125,7 +120,7 @@ export async function inspectdb() {
       );
 
       // Collect dependency info — don't assign yet
-      for (const [refTable, rel] of Object.entries(fks)) {
+      for (const [refTable, rel] of Object.entries(fks.relations || {})) {
         dependencies.push({
           parent: rel.model, // referenced table
           child: table, // table that holds the FK
@@ -135,9 +130,37 @@ export async function inspectdb() {
         });
       }
 
+      for (const [column, references] of Object.entries(
+        fks.references || {}
+      )) {
+        if (model.fields[column]) model.fields[column].references = references;
+      }
+
+      // Checks named the way we name field checks go back on the column,
+      // the rest become meta.checks
+      const checks = [];
+      for (const check of await introspectChecks(
+        connection || pool,
+        dbType,
+        table,
+        model.fields
+      )) {
+        const column = check.name.slice(`chk_${table}_`.length);
+        if (
+          check.name.startsWith(`chk_${table}_`) &&
+          model.fields[column] &&
+          !model.fields[column].check
+        ) {
+          model.fields[column].check = check.expression;
+        } else {
+          checks.push(check);
+        }
+      }
+
       const tableObj = {
         ...model,
         relations: {},
+        ...(checks.length ? { meta: { checks } } : {}),
       };
 
       tableObj.toJSON = modelDataToJSON.bind(tableObj);
@@ -161,24 +184,24 @@ export async function inspectdb() {
 
     const modelFile = buildModelFile(schema);
 
-    const proceed = await confirmOverwrite(MODELS_PATH);
+    const { migrationsDir, snapshotFile, modelsPath } = resolveConfig();
+
+    const proceed = await confirmOverwrite(modelsPath);
     if (!proceed) {
       console.log("🚫 Operation cancelled.");
       process.exit(0);
     }
 
-    fs.writeFileSync(MODELS_PATH, modelFile);
-    console.log(`✅ Generated: ${MODELS_PATH}`);
+    fs.mkdirSync(path.dirname(modelsPath), { recursive: true });
+    fs.writeFileSync(modelsPath, modelFile);
+    console.log(`✅ Generated: ${modelsPath}`);
 
     // Create baseline migration
-    if (!fs.existsSync(MIGRATIONS_DIR)) fs.mkdirSync(MIGRATIONS_DIR);
+    if (!fs.existsSync(migrationsDir))
+      fs.mkdirSync(migrationsDir, { recursive: true });
 
     const models = await loadModels();
     const currentSchema = extractSchemas(models);
-    const { oldFiltered, currentFiltered } = normalizeSchemasForChecksum(
-      {},
-      currentSchema
-    );
 
     const changes = await diffSchemas({}, currentSchema, { inspectDB: true });
 
@@ -195,7 +218,7 @@ export async function inspectdb() {
     const reverseSQLFilename = `${timestamp}_${INITIAL_INSPECTDB_MARKER}.js`;
 
     fs.writeFileSync(
-      path.join(MIGRATIONS_DIR, filename),
+      path.join(migrationsDir, filename),
       `-- Baseline migration (auto-generated by @anclatechs/sql-buns-migrate :: inspectdb)\n-- On ${new Date().toLocaleDateString(
         "en-US",
         {
@@ -208,33 +231,20 @@ export async function inspectdb() {
     console.log(`📜 Created baseline migration: ${filename}`);
 
     fs.writeFileSync(
-      path.join(MIGRATIONS_DIR, reverseSQLFilename),
-      `/*
-* WARNING: This migration file was auto-generated by @anclatechs/sql-buns-migrate
-* on ${new Date().toLocaleDateString("en-US", {
-        month: "long",
-        day: "numeric",
-        year: "numeric",
-      })} (version ${sqlBunsMigrateCurrentversion}).
-*
-* Do not edit this file manually, as it may complicate the migration process
-* or lead to unexpected issues. If changes are needed, regenerate the file
-* or modify the source configuration instead. Only proceed with direct edits
-* if you are absolutely certain of the implications.
-*/
-import { pool } from "@anclatechs/sql-buns";
-export async function up() {/**Go to file: ${filename}*/}
-export async function down() {
-  await pool.${isSQLite ? "run" : "query"}(\`${reverseSQL}\`);
-}`
+      path.join(migrationsDir, reverseSQLFilename),
+      buildMigrationModule({
+        filename,
+        reverseSQL,
+        version: sqlBunsMigrateCurrentversion,
+      })
     );
 
-    fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(currentSchema, null, 2));
-
-    // Checksum is generated on the Normalised filter not the raw Model file
-    const checksum = generateChecksum(currentFiltered);
+    writeMigrationSnapshot(migrationsDir, filename, currentSchema);
+    fs.writeFileSync(snapshotFile, JSON.stringify(currentSchema, null, 2));
 
-    await recordBaselineMigration(connection || pool, checksum, filename);
+    // Same history table `up` would create, version row included. The
+    // baseline itself isn't recorded as applied
+    await ensureHistoryTable();
 
     console.log("✅ Inspectdb completed successfully.\n");
     console.log(
@@ -382,9 +392,100 @@ async function introspectTable(client, dbType, table) {
 }
 
 /**
- * Extract foreign key relations
+ * Postgres names a check written inline on a column `<table>_<column>_check`.
+ * One that only restates an enum column's choices is left to the column
+ * type; any other check, whatever its name, is kept.
+ */
+function isEnumChoicesCheck(table, fields, name, expression) {
+  return Object.entries(fields).some(([column, def]) => {
+    if (!def.choices || name !== `${table}_${column}_check`) return false;
+    // `col IN (...)`, which Postgres stores as `(col)::text = ANY (ARRAY[...])`
+    return new RegExp(
+      `^\\(*"?${column}"?\\)?(?:::[\\w ]+?)?\\s*(?:IN|=\\s*ANY)\\s*\\(`,
+      "i"
+    ).test(expression);
+  });
+}
+
+/**
+ * Named CHECK constraints of a table. Checks written inline without a name
+ * (enum choices) get one from the database and are left to the column type;
+ * `fields` are the table's introspected columns.
  */
-async function introspectForeignKeys(client, dbType, table) {
+export async function introspectChecks(client, dbType, table, fields = {}) {
+  const checks = [];
+
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    const res = await client.query(`
+      SELECT
+        con.conname AS name,
+        pg_get_constraintdef(con.oid) AS definition
+      FROM pg_constraint con
+      JOIN pg_class rel ON rel.oid = con.conrelid
+      JOIN pg_namespace nsp ON nsp.oid = rel.relnamespace
+      WHERE con.contype = 'c'
+        AND nsp.nspname = 'public'
+        AND rel.relname = '${table}';
+    `);
+    for (const row of res.rows) {
+      const expression = row.definition.replace(
+        /^CHECK\s*\(([\s\S]*)\)$/i,
+        "$1"
+      );
+      if (isEnumChoicesCheck(table, fields, row.name, expression)) continue;
+      checks.push({ name: row.name, expression });
+    }
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    const [rows] = await client.query(`
+      SELECT
+        cc.CONSTRAINT_NAME AS name,
+        cc.CHECK_CLAUSE AS expression
+      FROM information_schema.CHECK_CONSTRAINTS AS cc
+      JOIN information_schema.TABLE_CONSTRAINTS AS tc
+        ON tc.CONSTRAINT_SCHEMA = cc.CONSTRAINT_SCHEMA
+        AND tc.CONSTRAINT_NAME = cc.CONSTRAINT_NAME
+      WHERE tc.TABLE_SCHEMA = DATABASE()
+        AND tc.TABLE_NAME = '${table}'
+        AND tc.CONSTRAINT_TYPE = 'CHECK';
+    `);
+    for (const row of rows) {
+      if (row.name.startsWith(`${table}_chk_`)) continue;
+      checks.push({ name: row.name, expression: row.expression });
+    }
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+    const [master] = await client.all(
+      `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?;`,
+      [table]
+    );
+    const createSQL = master?.sql || "";
+
+    // Expressions can hold parentheses of their own, so walk to the
+    // matching close instead of using a regex for the body
+    for (const match of createSQL.matchAll(
+      /CONSTRAINT\s+["`]?(\w+)["`]?\s+CHECK\s*\(/gi
+    )) {
+      const start = match.index + match[0].length;
+      let depth = 1;
+      let i = start;
+      for (; i < createSQL.length && depth > 0; i++) {
+        if (createSQL[i] === "(") depth++;
+        else if (createSQL[i] === ")") depth--;
+      }
+      checks.push({
+        name: match[1],
+        expression: createSQL.slice(start, i - 1).trim(),
+      });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Extract foreign key relations: `manyToMany` for join tables, `references`
+ * on the holding column for every other foreign key
+ */
+export async function introspectForeignKeys(client, dbType, table) {
   const foreignKeys = [];
 
   // 1️⃣ Gather FK metadata per dialect
@@ -394,12 +495,18 @@ async function introspectForeignKeys(client, dbType, table) {
         kcu.column_name AS fk_column,
         ccu.table_name AS ref_table,
         ccu.column_name AS ref_column,
-        tc.constraint_name
+        tc.constraint_name,
+        rc.delete_rule,
+        rc.update_rule,
+        tc.is_deferrable,
+        tc.initially_deferred
       FROM information_schema.table_constraints AS tc
       JOIN information_schema.key_column_usage AS kcu
         ON tc.constraint_name = kcu.constraint_name
       JOIN information_schema.constraint_column_usage AS ccu
         ON ccu.constraint_name = tc.constraint_name
+      JOIN information_schema.referential_constraints AS rc
+        ON rc.constraint_name = tc.constraint_name
       WHERE tc.constraint_type = 'FOREIGN KEY'
         AND tc.table_name = '${table}';
     `);
@@ -407,21 +514,42 @@ async function introspectForeignKeys(client, dbType, table) {
   } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
     const [rows] = await client.query(`
       SELECT
-        COLUMN_NAME AS fk_column,
-        REFERENCED_TABLE_NAME AS ref_table,
-        REFERENCED_COLUMN_NAME AS ref_column,
-        CONSTRAINT_NAME
-      FROM information_schema.KEY_COLUMN_USAGE
-      WHERE TABLE_NAME = '${table}' AND REFERENCED_TABLE_NAME IS NOT NULL;
+        kcu.COLUMN_NAME AS fk_column,
+        kcu.REFERENCED_TABLE_NAME AS ref_table,
+        kcu.REFERENCED_COLUMN_NAME AS ref_column,
+        kcu.CONSTRAINT_NAME AS constraint_name,
+        rc.DELETE_RULE AS delete_rule,
+        rc.UPDATE_RULE AS update_rule
+      FROM information_schema.KEY_COLUMN_USAGE AS kcu
+      JOIN information_schema.REFERENTIAL_CONSTRAINTS AS rc
+        ON rc.CONSTRAINT_SCHEMA = kcu.CONSTRAINT_SCHEMA
+        AND rc.CONSTRAINT_NAME = kcu.CONSTRAINT_NAME
+      WHERE kcu.TABLE_SCHEMA = DATABASE()
+        AND kcu.TABLE_NAME = '${table}'
+        AND kcu.REFERENCED_TABLE_NAME IS NOT NULL;
     `);
     foreignKeys.push(...rows);
   } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
     const res = await client.all(`PRAGMA foreign_key_list(${table});`);
+    // The pragma leaves out constraint names, read them from the table SQL
+    const [master] = await client.all(
+      `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?;`,
+      [table]
+    );
+    const names = {};
+    for (const match of (master?.sql || "").matchAll(
+      /CONSTRAINT\s+["`]?(\w+)["`]?\s+FOREIGN\s+KEY\s*\(\s*["`]?(\w+)["`]?\s*\)/gi
+    )) {
+      names[match[2]] = match[1];
+    }
     for (const row of res) {
       foreignKeys.push({
         fk_column: row.from,
         ref_table: row.table,
         ref_column: row.to,
+        constraint_name: names[row.from],
+        delete_rule: row.on_delete,
+        update_rule: row.on_update,
       });
     }
   }
@@ -435,7 +563,7 @@ async function introspectForeignKeys(client, dbType, table) {
   // For join tables, just return enough info to mark them as "through"
   if (isJoinTable) {
     const [fk1, fk2] = foreignKeys;
-    return {
+    const relations = {
       [fk1.ref_table]: {
         type: "manyToMany",
         model: fk1.ref_table,
@@ -451,21 +579,35 @@ async function introspectForeignKeys(client, dbType, table) {
         inverseJoinColumn: fk1.fk_column,
       },
     };
+    return { relations };
   }
 
-  // For normal FK tables, return minimal info (the direction is resolved later)
-  const relations = {};
+  // Other foreign keys become `references` on the column that holds them
+  const references = {};
   for (const fk of foreignKeys) {
-    const unique = await isColumnUnique(client, dbType, table, fk.fk_column);
-    relations[fk.ref_table] = {
-      type: unique ? "hasOne" : "hasMany",
+    const rule = (value) =>
+      value && value.toUpperCase() !== "NO ACTION"
+        ? value.toUpperCase()
+        : undefined;
+    const name = fk.constraint_name;
+
+    references[fk.fk_column] = {
       model: fk.ref_table,
-      foreignKey: fk.fk_column,
-      ref_column: fk.ref_column,
+      column: fk.ref_column || "id",
+      onDelete: rule(fk.delete_rule),
+      onUpdate: rule(fk.update_rule),
+      deferrable:
+        fk.is_deferrable === "YES"
+          ? fk.initially_deferred === "YES"
+            ? "deferred"
+            : "immediate"
+          : undefined,
+      // Only kept when it isn't the name we would generate
+      name: name && name !== `fk_${table}_${fk.fk_column}` ? name : undefined,
     };
   }
 
-  return relations;
+  return { references };
 }
 
 /**
@@ -494,40 +636,6 @@ async function detectJoinTable(client, dbType, table, fks) {
   return columnCount <= 3 && fks.length === 2;
 }
 
-/**
- * Checks if a column is unique or primary key
- */
-async function isColumnUnique(client, dbType, table, column) {
-  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
-    const res = await client.query(`
-      SELECT EXISTS (
-        SELECT 1
-        FROM information_schema.table_constraints tc
-        JOIN information_schema.constraint_column_usage ccu
-        ON tc.constraint_name = ccu.constraint_name
-        WHERE tc.table_name = '${table}'
-          AND (tc.constraint_type = 'UNIQUE' OR tc.constraint_type = 'PRIMARY KEY')
-          AND ccu.column_name = '${column}'
-      ) AS is_unique;
-    `);
-    return res.rows[0].is_unique;
-  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
-    const [rows] = await client.query(`
-      SHOW INDEX FROM \`${table}\` WHERE Column_name = '${column}' AND (Non_unique = 0);
-    `);
-    return rows.length > 0;
-  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
-    const res = await client.all(`PRAGMA index_list(${table});`);
-    for (const idx of res) {
-      if (idx.unique) {
-        const cols = await client.all(`PRAGMA index_info(${idx.name});`);
-        if (cols.some((c) => c.name === column)) return true;
-      }
-    }
-    return false;
-  }
-}
-
 /**
  * Map DB-specific data types to your internal Field types
  */
@@ -700,6 +808,15 @@ function buildModelFile(schema) {
         const strippedDefault = info.default.replace(/^["']+|["']+$/g, "");
         file += `, default: "${strippedDefault}"`;
       }
+      if (info.references) {
+        const options = Object.entries(info.references)
+          .filter(([, value]) => value !== undefined)
+          .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+        file += `, references: { ${options.join(", ")} }`;
+      }
+      if (info.check) {
+        file += `, check: ${JSON.stringify(info.check)}`;
+      }
       file += " },\n";
     }
     file += "}, {\n";
@@ -719,73 +836,22 @@ function buildModelFile(schema) {
       file += "  },\n";
     }
 
-    file += `  meta: { tableName: "${def.name}" }\n});\n\n`;
+    if (def.meta?.checks?.length) {
+      file += `  meta: {\n    tableName: "${def.name}",\n    checks: [\n`;
+      for (const check of def.meta.checks) {
+        file += `      { name: "${check.name}", expression: ${JSON.stringify(
+          check.expression
+        )} },\n`;
+      }
+      file += "    ],\n  }\n});\n\n";
+    } else {
+      file += `  meta: { tableName: "${def.name}" }\n});\n\n`;
+    }
   }
 
   return file.trim() + "\n";
 }
 
-/**
- * Insert a baseline migration record
- */
-async function recordBaselineMigration(client, checksum, migrationName) {
-  const dbType = process.env.DATABASE_ENGINE;
-
-  // Create table
-  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS _sqlbuns_migrations (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL UNIQUE,
-        checksum VARCHAR(64) NOT NULL,
-        previous_checksum VARCHAR(64),
-        direction VARCHAR(10) CHECK (direction IN ('up', 'down')) DEFAULT 'up' NOT NULL,
-        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        rolled_back BOOLEAN DEFAULT FALSE,
-        rolled_back_at TIMESTAMP
-      );
-    `);
-    // await client.query(
-    //   `INSERT INTO _sqlbuns_migrations (name, direction, checksum) VALUES ($1, $2, $3) ON CONFLICT (name) DO NOTHING;`,
-    //   [migrationName, "up", checksum]
-    // );
-  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS _sqlbuns_migrations (
-        id INTEGER AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL UNIQUE,
-        checksum VARCHAR(64) NOT NULL,
-        previous_checksum VARCHAR(64),
-        direction VARCHAR(10) CHECK (direction IN ('up', 'down')) DEFAULT 'up' NOT NULL,
-        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        rolled_back BOOLEAN DEFAULT FALSE,
-        rolled_back_at TIMESTAMP
-      );
-    `);
-    // await client.query(
-    //   `INSERT INTO _sqlbuns_migrations (name, direction, checksum) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE checksum = checksum;`,
-    //   [migrationName, "up", checksum]
-    // );
-  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
-    await client.run(`
-      CREATE TABLE IF NOT EXISTS _sqlbuns_migrations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name VARCHAR(255) NOT NULL UNIQUE,
-        checksum VARCHAR(64) NOT NULL,
-        previous_checksum VARCHAR(64),
-        direction VARCHAR(10) CHECK (direction IN ('up', 'down')) DEFAULT 'up' NOT NULL,
-        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        rolled_back INTEGER DEFAULT 0,
-        rolled_back_at TIMESTAMP
-      );
-    `);
-    // await client.run(
-    //   `INSERT OR IGNORE INTO _sqlbuns_migrations (name, direction, checksum) VALUES (?, ?, ?);`,
-    //   [migrationName, "up", checksum]
-    // );
-  }
-}
-
 function camelCase(str) {
   return str
     .split("_")
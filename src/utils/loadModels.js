@@ -1,6 +1,7 @@
 import fs from "fs";
 import { createRequire } from "module";
 import { resolveModelsPath } from "./resolveModelsPath.js";
+import { logger } from "./logger.js";
 const require = createRequire(import.meta.url);
 global.require = require;
 
@@ -31,10 +32,10 @@ export async function loadModels() {
       throw new Error(`No exports found in models file: ${modelsPath}`);
     }
 
-    console.log(`📦 Successfully loaded models from: ${modelsPath}`);
+    logger.log(`📦 Successfully loaded models from: ${modelsPath}`);
     return modelsModule;
   } catch (err) {
-    console.error("❌ Failed to load models:", err);
+    logger.error("❌ Failed to load models:", err);
     throw err;
   }
 }
@@ -0,0 +1,239 @@
+import os from "os";
+import chalk from "chalk";
+import { pool } from "@anclatechs/sql-buns";
+import { SUPPORTED_SQL_DIALECTS_TYPES } from "./constants.js";
+import { resolveLockTimeout } from "./config.js";
+import { LockTimeoutError } from "./errors.js";
+import { getHistoryTable } from "./historyTable.js";
+import { logger } from "./logger.js";
+
+const POLL_INTERVAL_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function _lockOwner() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+/**
+ * A SQLite lock row outlives a crashed process. When the owner ran on this
+ * host and its pid is gone, the row is stale and can be taken over.
+ */
+function _isStaleSQLiteOwner(owner) {
+  const [host, pid] = String(owner).split(":");
+  if (host !== os.hostname() || !Number(pid)) return false;
+  try {
+    process.kill(Number(pid), 0);
+    return false;
+  } catch (err) {
+    return err.code === "ESRCH";
+  }
+}
+
+async function _ensureSQLiteLockTable(lockName) {
+  await pool.exec(`
+    CREATE TABLE IF NOT EXISTS ${lockName} (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      owner TEXT NOT NULL,
+      locked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function _tryAcquireSQLite(lockName, owner) {
+  try {
+    await pool.run(`INSERT INTO ${lockName} (id, owner) VALUES (1, ?)`, [
+      owner,
+    ]);
+    return true;
+  } catch (err) {
+    if (!/constraint/i.test(err.message)) throw err;
+  }
+
+  const [holder] = await pool.all(
+    `SELECT owner FROM ${lockName} WHERE id = 1`
+  );
+  if (holder && _isStaleSQLiteOwner(holder.owner)) {
+    logger.warn(
+      chalk.yellow(
+        `⚠️ Clearing stale migration lock left by ${holder.owner} (process no longer running).`
+      )
+    );
+    await pool.run(`DELETE FROM ${lockName} WHERE id = 1 AND owner = ?`, [
+      holder.owner,
+    ]);
+    // Right away, so a zero timeout still gets the lock
+    return _tryAcquireSQLite(lockName, owner);
+  }
+  return false;
+}
+
+/**
+ * Take the migration lock, waiting up to `timeout` seconds.
+ * Returns a release function.
+ */
+export async function acquireMigrationLock({ timeout } = {}) {
+  timeout = resolveLockTimeout(timeout);
+  const dbType = process.env.DATABASE_ENGINE;
+  const isPostgres = dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES;
+  const isMySQL = dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL;
+  const isSQLite = dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE;
+  // Named after the history table, so separate histories don't block each other
+  const { lockName, pgLockKey } = getHistoryTable();
+
+  const deadline = Date.now() + timeout * 1000;
+  const owner = _lockOwner();
+  let connection = null;
+  let acquired = false;
+  let announced = false;
+
+  const announceWait = () => {
+    if (announced) return;
+    announced = true;
+    logger.log(
+      chalk.yellow(
+        `⏳ Another migration holds the lock, waiting up to ${timeout}s...`
+      )
+    );
+  };
+
+  try {
+    if (isPostgres) {
+      // Advisory locks belong to the session, so keep one client checked out
+      connection = await pool.connect();
+      while (true) {
+        const { rows } = await connection.query(
+          `SELECT pg_try_advisory_lock($1) AS acquired`,
+          [pgLockKey]
+        );
+        acquired = rows[0].acquired === true;
+        if (acquired || Date.now() >= deadline) break;
+        announceWait();
+        await sleep(POLL_INTERVAL_MS);
+      }
+    } else if (isMySQL) {
+      connection = await pool.getConnection();
+      // GET_LOCK does the waiting server-side
+      const [[quick]] = await connection.query(
+        `SELECT GET_LOCK(?, 0) AS acquired`,
+        [lockName]
+      );
+      acquired = quick.acquired === 1;
+      if (!acquired && timeout > 0) {
+        announceWait();
+        const [[row]] = await connection.query(
+          `SELECT GET_LOCK(?, ?) AS acquired`,
+          [lockName, timeout]
+        );
+        acquired = row.acquired === 1;
+      }
+    } else if (isSQLite) {
+      await _ensureSQLiteLockTable(lockName);
+      while (true) {
+        acquired = await _tryAcquireSQLite(lockName, owner);
+        if (acquired || Date.now() >= deadline) break;
+        announceWait();
+        await sleep(POLL_INTERVAL_MS);
+      }
+    } else {
+      // Unknown engine: nothing to lock against
+      return async () => {};
+    }
+  } catch (err) {
+    if (connection) connection.release();
+    throw err;
+  }
+
+  if (!acquired) {
+    if (connection) connection.release();
+    throw new LockTimeoutError(
+      `Timed out after ${timeout}s waiting for the migration lock. Another buns-migrate process is running against this database.\n` +
+        "If no migration is actually running, clear the stale lock with `buns-migrate unlock`.",
+      { timeout }
+    );
+  }
+
+  return async function releaseMigrationLock() {
+    try {
+      if (isPostgres) {
+        await connection.query(`SELECT pg_advisory_unlock($1)`, [
+          pgLockKey,
+        ]);
+      } else if (isMySQL) {
+        await connection.query(`SELECT RELEASE_LOCK(?)`, [lockName]);
+      } else if (isSQLite) {
+        await pool.run(`DELETE FROM ${lockName} WHERE id = 1 AND owner = ?`, [
+          owner,
+        ]);
+      }
+    } finally {
+      if (connection) connection.release();
+    }
+  };
+}
+
+/**
+ * Run `fn` while holding the migration lock
+ */
+export async function withMigrationLock(fn, { lock = true, lockTimeout } = {}) {
+  if (!lock) return fn();
+
+  const release = await acquireMigrationLock({ timeout: lockTimeout });
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Force-release a stale lock. On Postgres and MySQL the lock lives with the
+ * holding session, so that session is terminated.
+ */
+export async function unlockMigrations() {
+  const dbType = process.env.DATABASE_ENGINE;
+  const { lockName, pgLockKey } = getHistoryTable();
+
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    const { rows } = await pool.query(
+      `SELECT pid FROM pg_locks
+       WHERE locktype = 'advisory' AND classid = 0 AND objid = $1 AND objsubid = 1 AND granted`,
+      [pgLockKey]
+    );
+    if (rows.length === 0) {
+      logger.log(chalk.green("✅ No migration lock is held."));
+      return;
+    }
+    for (const { pid } of rows) {
+      await pool.query(`SELECT pg_terminate_backend($1)`, [pid]);
+      logger.log(
+        chalk.yellow(`🔓 Terminated session ${pid} holding the lock.`)
+      );
+    }
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    const [[row]] = await pool.query(`SELECT IS_USED_LOCK(?) AS holder`, [
+      lockName,
+    ]);
+    if (!row.holder) {
+      logger.log(chalk.green("✅ No migration lock is held."));
+      return;
+    }
+    await pool.query(`KILL ${Number(row.holder)}`);
+    logger.log(
+      chalk.yellow(`🔓 Killed connection ${row.holder} holding the lock.`)
+    );
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+    await _ensureSQLiteLockTable(lockName);
+    const rows = await pool.all(`SELECT owner, locked_at FROM ${lockName}`);
+    if (rows.length === 0) {
+      logger.log(chalk.green("✅ No migration lock is held."));
+      return;
+    }
+    await pool.run(`DELETE FROM ${lockName}`);
+    logger.log(
+      chalk.yellow(
+        `🔓 Removed lock held by ${rows[0].owner} since ${rows[0].locked_at}.`
+      )
+    );
+  }
+}
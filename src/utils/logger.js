@@ -0,0 +1,27 @@
+/**
+ * All output goes through here so the Migrator API can redirect or silence
+ * it. The CLI keeps the default, which is the console.
+ */
+const silentLogger = { log() {}, info() {}, warn() {}, error() {} };
+
+let current = console;
+
+export const logger = {
+  log: (...args) => current.log(...args),
+  info: (...args) => (current.info || current.log)(...args),
+  warn: (...args) => current.warn(...args),
+  error: (...args) => current.error(...args),
+};
+
+/**
+ * Run `fn` with `target` as the logger (`false`/`null` silences output)
+ */
+export async function withLogger(target, fn) {
+  const previous = current;
+  current = target || silentLogger;
+  try {
+    return await fn();
+  } finally {
+    current = previous;
+  }
+}
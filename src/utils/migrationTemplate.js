@@ -0,0 +1,87 @@
+import { SUPPORTED_SQL_DIALECTS_TYPES } from "./constants.js";
+import { splitSqlStatements } from "./sqlSplitter.js";
+
+function _escapeTemplateLiteral(sql) {
+  return sql
+    .replace(/\\/g, "\\\\")
+    .replace(/`/g, "\\`")
+    .replace(/\$\{/g, "\\${");
+}
+
+/**
+ * Builds the `.js` companion of a migration.
+ * `down(db)` runs on the handle `migrateDown` passes in (the transactional
+ * client for Postgres/MySQL, the pool for SQLite), so the rollback and its
+ * bookkeeping commit or fail together. The reverse SQL is split up front and
+ * run one statement per call, so MySQL doesn't need `multipleStatements`.
+ */
+export function buildMigrationModule({ filename, reverseSQL, version }) {
+  const isSQLite =
+    process.env.DATABASE_ENGINE === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE;
+  const statements = splitSqlStatements(reverseSQL).map(
+    ({ text }) => `    \`${_escapeTemplateLiteral(text)}\`,\n`
+  );
+
+  return `/*
+ * WARNING: This migration file was auto-generated by @anclatechs/sql-buns-migrate
+ * on ${new Date().toLocaleDateString("en-US", {
+   month: "long",
+   day: "numeric",
+   year: "numeric",
+ })} (version ${version}).
+ *
+ * Do not edit this file manually, as it may complicate the migration process
+ * or lead to unexpected issues. If changes are needed, regenerate the file
+ * or modify the source configuration instead. Only proceed with direct edits
+ * if you are absolutely certain of the implications.
+ */
+export async function up() {/**Go to file: ${filename}*/}
+export async function down(db) {
+  const statements = [${
+    statements.length > 0 ? `\n${statements.join("")}  ` : ""
+  }];
+  for (const statement of statements) {
+    await db.${isSQLite ? "exec" : "query"}(statement);
+  }
+}
+`;
+}
+
+export function buildEmptyMigrationSql({ version }) {
+  return `-- Hand-written migration (created by @anclatechs/sql-buns-migrate :: create --empty)
+-- On ${new Date().toLocaleDateString("en-US", {
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  })} (version ${version})
+-- Statements here run first, then up(db) from the paired .js file, in one transaction.
+`;
+}
+
+/**
+ * Builds the `.js` half of a hand-written migration. A non-empty `up(db)`
+ * is executed by `migrateUp` right after the `.sql` file, on the same
+ * transactional handle.
+ */
+export function buildEmptyMigrationModule({ filename, version }) {
+  return `/*
+ * Hand-written migration created by @anclatechs/sql-buns-migrate
+ * on ${new Date().toLocaleDateString("en-US", {
+   month: "long",
+   day: "numeric",
+   year: "numeric",
+ })} (version ${version}).
+ *
+ * up(db) runs after ${filename} inside the same transaction;
+ * down(db) runs on rollback. \`db\` is the transactional client on
+ * PostgreSQL/MySQL and the pool on SQLite.
+ */
+export async function up(db) {
+  // e.g. await db.query("UPDATE users SET status = 'active' WHERE status IS NULL");
+}
+
+export async function down(db) {
+  // Revert whatever up(db) and ${filename} changed
+}
+`;
+}
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import { getHistoryTable } from "./historyTable.js";
+
+/**
+ * MySQL commits every DDL statement on its own, so a failed migration can
+ * leave some of its statements applied. This companion table remembers how
+ * far each unfinished migration got, for `buns-migrate up --resume`.
+ */
+const progressTable = () => getHistoryTable().progressTable;
+
+export async function ensureMigrationProgressTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS ${progressTable()} (
+      name VARCHAR(255) PRIMARY KEY,
+      statements_done INT NOT NULL DEFAULT 0,
+      total_statements INT NOT NULL,
+      done_checksum VARCHAR(64),
+      last_error TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Whether the progress table exists, without creating it. Read-only
+ * commands treat a missing table as "no partial progress".
+ */
+export async function migrationProgressTableExists(connection) {
+  const { schema } = getHistoryTable();
+  const [rows] = await connection.query(
+    `SELECT TABLE_NAME FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = COALESCE(?, DATABASE()) AND TABLE_NAME = ?;`,
+    [schema, progressTable().split(".").pop()]
+  );
+  return rows.length > 0;
+}
+
+export async function getMigrationProgress(connection, name) {
+  const [rows] = await connection.query(
+    `SELECT * FROM ${progressTable()} WHERE name = ?`,
+    [name]
+  );
+  return rows[0] || null;
+}
+
+export async function getAllMigrationProgress(connection) {
+  const [rows] = await connection.query(`SELECT * FROM ${progressTable()}`);
+  return rows;
+}
+
+export async function saveMigrationProgress(
+  connection,
+  { name, done, total, doneChecksum, error = null }
+) {
+  await connection.query(
+    `INSERT INTO ${progressTable()} (name, statements_done, total_statements, done_checksum, last_error)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       statements_done = VALUES(statements_done),
+       total_statements = VALUES(total_statements),
+       done_checksum = VALUES(done_checksum),
+       last_error = VALUES(last_error)`,
+    [name, done, total, doneChecksum, error]
+  );
+}
+
+export async function clearMigrationProgress(connection, name) {
+  await connection.query(`DELETE FROM ${progressTable()} WHERE name = ?`, [
+    name,
+  ]);
+}
+
+/**
+ * Hash of the statements already committed, so `--resume` can tell whether
+ * they were edited since (the failing statement itself may change freely)
+ */
+export function committedStatementsChecksum(statements) {
+  const hash = crypto.createHash("sha256");
+  for (const statement of statements) {
+    hash.update(statement.text);
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+import { resolveConfig } from "./config.js";
+import { ConfigError } from "./errors.js";
+
+/**
+ * Parses `table.old:new` specs (from `--renames`) into rename answers.
+ * An empty new name (`table.old:`) answers "dropped, not renamed".
+ */
+export function parseRenameSpecs(specs = []) {
+  return specs
+    .map((spec) => String(spec).trim())
+    .filter(Boolean)
+    .map((spec) => {
+      const match = spec.match(/^(\w+)\.(\w+):(\w*)$/);
+      if (!match) {
+        throw new ConfigError(
+          `Invalid rename "${spec}". Expected <table>.<old_column>:<new_column>`
+        );
+      }
+      const [, table, oldCol, newCol] = match;
+      return { table, old: oldCol, new: newCol || null };
+    });
+}
+
+/**
+ * Loads a declarative renames file, relative to the project root:
+ * `{ "users": { "phone": "mobile", "legacy_code": null } }`
+ */
+export function loadRenamesFile(filePath) {
+  const resolved = path.resolve(resolveConfig().root, filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new ConfigError(`Renames file not found at ${resolved}`);
+  }
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+  } catch (err) {
+    throw new ConfigError(
+      `Renames file ${resolved} is not valid JSON: ${err.message}`,
+      { cause: err }
+    );
+  }
+  const renames = [];
+  for (const [table, columns] of Object.entries(content)) {
+    for (const [oldCol, newCol] of Object.entries(columns || {})) {
+      renames.push({ table, old: oldCol, new: newCol || null });
+    }
+  }
+  return renames;
+}
@@ -4,8 +4,41 @@ import readline from "readline";
 import { SUPPORTED_SQL_DIALECTS_TYPES } from "./constants.js";
 import { rebuildTableForSqlite } from "./sqlite/index.js";
 import { isDefinitionEnum, normalizeDefinitionDefault } from "./generics.js";
+import {
+  MigrationCancelledError,
+  PromptRequiredError,
+  SchemaValidationError,
+} from "./errors.js";
+import { logger } from "./logger.js";
 const dbType = process.env.DATABASE_ENGINE;
+
+/**
+ * When set (stacked migrations), existence checks answer from this schema
+ * snapshot instead of the live database, which lags behind pending files
+ */
+let existenceSnapshot = null;
+
+/**
+ * Answers supplied up front (create --yes / --no-input / --renames) so the
+ * diff can run without a terminal. `renames` entries are
+ * `{ table, old, new }`, where `new: null` means "dropped, not renamed".
+ */
+let promptPolicy = { interactive: true, assumeYes: false, renames: [] };
+
+/**
+ * Table names by model name (old and new schema), so a field's
+ * `references.model` can name either
+ */
+let modelTables = {};
+
+function _findSnapshotModel(table) {
+  return Object.values(existenceSnapshot).find(
+    (m) => (m.meta?.tableName || m.name) === table
+  );
+}
+
 async function _tableExistsInDb(table) {
+  if (existenceSnapshot) return !!_findSnapshotModel(table);
   try {
     await getSingleRow(`SELECT 1 FROM ${table} LIMIT 1`);
     return true;
@@ -15,6 +48,9 @@ async function _tableExistsInDb(table) {
 }
 
 async function _columnExistsInDb(table, column) {
+  if (existenceSnapshot) {
+    return !!(_findSnapshotModel(table)?.fields || {})[column];
+  }
   try {
     await getSingleRow(`SELECT ${column} FROM ${table} LIMIT 1`);
     return true;
@@ -23,6 +59,180 @@ async function _columnExistsInDb(table, column) {
   }
 }
 
+/**
+ * Field-level foreign keys (`references` on a field). Constraints are always
+ * named, `fk_<table>_<column>` unless `references.name` is set, so they can
+ * be dropped again later.
+ */
+function _foreignKeyName(table, col, ref) {
+  return ref.name || `fk_${table}_${col}`;
+}
+
+function _referencedTable(ref) {
+  return modelTables[ref.model] || ref.model;
+}
+
+function _foreignKeyReferences(table, col, ref) {
+  let clause = `REFERENCES ${_referencedTable(ref)}(${ref.column || "id"})`;
+  if (ref.onDelete) clause += ` ON DELETE ${ref.onDelete}`;
+  if (ref.onUpdate) clause += ` ON UPDATE ${ref.onUpdate}`;
+  if (ref.deferrable) {
+    if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+      throw new SchemaValidationError(
+        `MySQL does not support deferrable foreign keys ("${table}.${col}").`
+      );
+    }
+    clause += ` DEFERRABLE INITIALLY ${
+      ref.deferrable === "immediate" ? "IMMEDIATE" : "DEFERRED"
+    }`;
+  }
+  return clause;
+}
+
+function _foreignKeyConstraint(
+  table,
+  col,
+  ref,
+  name = _foreignKeyName(table, col, ref)
+) {
+  return `CONSTRAINT ${name} FOREIGN KEY (${col}) ${_foreignKeyReferences(
+    table,
+    col,
+    ref
+  )}`;
+}
+
+function _addForeignKeySql(table, col, ref, name) {
+  return `ALTER TABLE ${table} ADD ${_foreignKeyConstraint(
+    table,
+    col,
+    ref,
+    name
+  )};`;
+}
+
+function _dropForeignKeySql(table, col, ref, name) {
+  name = name || _foreignKeyName(table, col, ref);
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    return `ALTER TABLE ${table} DROP FOREIGN KEY ${name};`;
+  }
+  return `ALTER TABLE ${table} DROP CONSTRAINT ${name};`;
+}
+
+/**
+ * Gives a foreign key another name. MySQL can't rename one, so it's dropped
+ * and added again; SQLite never refers to it by name.
+ */
+function _renameForeignKeySql(table, col, ref, oldName, newName) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) return [];
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    return [
+      _dropForeignKeySql(table, col, ref, oldName),
+      _addForeignKeySql(table, col, ref, newName),
+    ];
+  }
+  return [`ALTER TABLE ${table} RENAME CONSTRAINT ${oldName} TO ${newName};`];
+}
+
+/**
+ * Whether a column's foreign key points somewhere else, behaves differently
+ * or got another explicit name. Derived names are compared by the caller.
+ */
+function _referencesChanged(oldRef, newRef) {
+  const signature = (ref) =>
+    ref
+      ? JSON.stringify([
+          _referencedTable(ref),
+          ref.column || "id",
+          ref.onDelete || null,
+          ref.onUpdate || null,
+          ref.deferrable || null,
+          ref.name || null,
+        ])
+      : null;
+  return signature(oldRef) !== signature(newRef);
+}
+
+/**
+ * CHECK constraints of a table: field-level `check` (named
+ * `chk_<table>_<column>`) followed by `meta.checks`
+ */
+function _tableChecks(table, model) {
+  const fieldChecks = Object.entries(model.fields || {})
+    .filter(([_, def]) => def.check)
+    .map(([col, def]) => ({
+      name: `chk_${table}_${col}`,
+      expression: def.check,
+    }));
+  return [...fieldChecks, ...(model.meta?.checks || [])];
+}
+
+function _addCheckSql(table, check) {
+  return `ALTER TABLE ${table} ADD CONSTRAINT ${check.name} CHECK (${check.expression});`;
+}
+
+function _dropCheckSql(table, name) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    return `ALTER TABLE ${table} DROP CHECK ${name};`;
+  }
+  return `ALTER TABLE ${table} DROP CONSTRAINT ${name};`;
+}
+
+/**
+ * UNIQUE constraints of a table: field-level `unique` followed by
+ * `meta.uniqueTogether` (named `uq_<table>_<field>_<field>...`). Models name
+ * field constraints `uq_<table>_<column>` (see defineModel); `unique: true`
+ * comes from snapshots of older versions, which created an unnamed inline
+ * UNIQUE and left the name to the database.
+ */
+function _tableUniques(table, model) {
+  const fieldUniques = Object.entries(model.fields || {})
+    .filter(([_, def]) => def.unique && !def.primaryKey)
+    .map(([col, def]) => ({
+      name:
+        typeof def.unique === "string"
+          ? def.unique
+          : _legacyUniqueName(table, col),
+      fields: [col],
+    }));
+  const together = (model.meta?.uniqueTogether || []).map((unique) => ({
+    name: unique.name || `uq_${table}_${unique.fields.join("_")}`,
+    fields: unique.fields,
+  }));
+  return [...fieldUniques, ...together];
+}
+
+// Name the database gave an inline `col ... UNIQUE`. SQLite constraints
+// can't be dropped by name anyway, the table is rebuilt.
+function _legacyUniqueName(table, col) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
+    return `${table}_${col}_key`;
+  } else if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    return col;
+  }
+  return `uq_${table}_${col}`;
+}
+
+function _addUniqueSql(table, unique) {
+  return `ALTER TABLE ${table} ADD CONSTRAINT ${unique.name} UNIQUE (${unique.fields.join(
+    ", "
+  )});`;
+}
+
+function _renameUniqueSql(table, oldName, newName) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    return `ALTER TABLE ${table} RENAME INDEX ${oldName} TO ${newName};`;
+  }
+  return `ALTER TABLE ${table} RENAME CONSTRAINT ${oldName} TO ${newName};`;
+}
+
+function _dropUniqueSql(table, name) {
+  if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+    return `ALTER TABLE ${table} DROP INDEX ${name};`;
+  }
+  return `ALTER TABLE ${table} DROP CONSTRAINT ${name};`;
+}
+
 /**
  *
  * Validates trigger body for referenced tables/columns; It's similar to `decideRelationAction` function below,
@@ -38,12 +248,9 @@ async function _validateTriggerBody(body, allNewModels) {
   if (upperBody.startsWith("INSERT INTO")) {
     const tableMatch = body.match(/INSERT\s+INTO\s+["`']?(\w+)["`']?/i);
     if (!tableMatch) {
-      console.error(
-        chalk.red(
-          `Could not parse target table from INSERT statement in trigger body \n${body}`
-        )
+      throw new SchemaValidationError(
+        `Could not parse target table from INSERT statement in trigger body \n${body}`
       );
-      process.exit();
     }
     targetTables.push(tableMatch[1].toLowerCase());
 
@@ -63,12 +270,9 @@ async function _validateTriggerBody(body, allNewModels) {
   } else if (upperBody.startsWith("UPDATE")) {
     const tableMatch = body.match(/UPDATE\s+["`']?(\w+)["`']?/i);
     if (!tableMatch) {
-      console.error(
-        chalk.red(
-          `Could not parse target table from UPDATE statement in trigger body \n${body}`
-        )
+      throw new SchemaValidationError(
+        `Could not parse target table from UPDATE statement in trigger body \n${body}`
       );
-      process.exit();
     }
     targetTables.push(tableMatch[1].toLowerCase());
 
@@ -87,12 +291,9 @@ async function _validateTriggerBody(body, allNewModels) {
   } else if (upperBody.startsWith("DELETE FROM")) {
     const tableMatch = body.match(/DELETE\s+FROM\s+["`']?(\w+)["`']?/i);
     if (!tableMatch) {
-      console.error(
-        chalk.red(
-          `Could not parse target table from DELETE statement in trigger body \n${body}`
-        )
+      throw new SchemaValidationError(
+        `Could not parse target table from DELETE statement in trigger body \n${body}`
       );
-      process.exit();
     }
     targetTables.push(tableMatch[1].toLowerCase());
   } else if (upperBody.startsWith("SELECT")) {
@@ -123,7 +324,7 @@ async function _validateTriggerBody(body, allNewModels) {
 
     // Warn on subqueries/JOINs (basic check)
     if (body.includes("JOIN") || body.match(/SELECT.*SELECT/i)) {
-      console.warn(
+      logger.warn(
         "Complex SELECT (JOIN/subquery) detected—manual validation recommended for all referenced tables."
       );
     }
@@ -195,19 +396,123 @@ async function _handleMetaDiff(
   oldMeta = {},
   newMeta = {},
   sql = [],
-  reverseSQL = []
+  reverseSQL = [],
+  oldTable = table,
+  options = {}
 ) {
-  // --- Table rename ---
-  if (
-    oldMeta.tableName &&
-    newMeta.tableName &&
-    oldMeta.tableName !== newMeta.tableName
-  ) {
-    sql.push(
-      `ALTER TABLE ${oldMeta.tableName} RENAME TO ${newMeta.tableName};`
-    );
-    reverseSQL.push(
-      `ALTER TABLE ${newMeta.tableName} RENAME TO ${oldMeta.tableName};`
+  const {
+    tableIsNew = false,
+    oldFields = {},
+    newFields = {},
+    // Run after the field diff, once new columns exist
+    afterFieldsSql = [],
+    afterFieldsReverseSQL = [],
+    // SQLite: changes only a table rebuild can make
+    rebuildReasons = [],
+  } = options;
+
+  // --- Named constraints: CHECK (meta.checks, field `check`) and UNIQUE
+  // (meta.uniqueTogether, field `unique`) ---
+  // A new table gets them in its CREATE TABLE
+  if (!tableIsNew) {
+    const constraintKinds = [
+      {
+        label: "Check",
+        list: _tableChecks,
+        describe: (check) => `CHECK (${check.expression})`,
+        add: _addCheckSql,
+        drop: _dropCheckSql,
+      },
+      {
+        label: "Unique",
+        list: _tableUniques,
+        describe: (unique) => `UNIQUE (${unique.fields.join(", ")})`,
+        add: _addUniqueSql,
+        drop: _dropUniqueSql,
+        rename: _renameUniqueSql,
+      },
+    ];
+    const byName = (constraints) =>
+      Object.fromEntries(constraints.map((c) => [c.name, c]));
+
+    for (const kind of constraintKinds) {
+      const oldConstraints = byName(
+        kind.list(oldTable, { fields: oldFields, meta: oldMeta })
+      );
+      const newConstraints = byName(
+        kind.list(table, { fields: newFields, meta: newMeta })
+      );
+      const differs = (a, b) =>
+        !a || !b || kind.describe(a) !== kind.describe(b);
+
+      let droppedConstraints = Object.values(oldConstraints).filter((c) =>
+        differs(c, newConstraints[c.name])
+      );
+      let addedConstraints = Object.values(newConstraints).filter((c) =>
+        differs(oldConstraints[c.name], c)
+      );
+
+      // Same definition under a new name (e.g. a legacy unnamed UNIQUE
+      // getting its `uq_` name, or a table rename) is renamed in place.
+      // SQLite never drops these by name, so there it's left as is.
+      if (kind.rename) {
+        for (const c of [...droppedConstraints]) {
+          if (newConstraints[c.name]) continue;
+          const renamed = addedConstraints.find(
+            (n) =>
+              !oldConstraints[n.name] && kind.describe(n) === kind.describe(c)
+          );
+          if (!renamed) continue;
+
+          if (dbType !== SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+            sql.push(kind.rename(oldTable, c.name, renamed.name));
+            afterFieldsReverseSQL.push(
+              kind.rename(oldTable, renamed.name, c.name)
+            );
+          }
+          droppedConstraints = droppedConstraints.filter((d) => d !== c);
+          addedConstraints = addedConstraints.filter((a) => a !== renamed);
+        }
+      }
+
+      if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+        for (const c of droppedConstraints) {
+          rebuildReasons.push(
+            `${kind.label}: "${c.name}"\n[Old: ${kind.describe(c)}] --> [New: ${
+              newConstraints[c.name]
+                ? kind.describe(newConstraints[c.name])
+                : ""
+            }]`
+          );
+        }
+        for (const c of addedConstraints) {
+          if (oldConstraints[c.name]) continue; // Reported above
+          rebuildReasons.push(
+            `${kind.label}: "${c.name}"\n[Old: ] --> [New: ${kind.describe(c)}]`
+          );
+        }
+      } else {
+        // Dropped before the rename and the field changes, which may drop
+        // the columns they use
+        for (const c of droppedConstraints) {
+          sql.push(kind.drop(oldTable, c.name));
+          afterFieldsReverseSQL.push(kind.add(oldTable, c));
+        }
+        for (const c of addedConstraints) {
+          afterFieldsSql.push(kind.add(table, c));
+          reverseSQL.push(kind.drop(table, c.name));
+        }
+      }
+    }
+  }
+
+  // --- Table rename (meta.renamedFrom) ---
+  // The reverse runs once the field changes are undone (they use the new
+  // name) and before the old constraints come back on the old name
+  if (oldTable !== table) {
+    sql.push(`ALTER TABLE ${oldTable} RENAME TO ${table};`);
+    afterFieldsReverseSQL.unshift(
+      `ALTER TABLE ${table} RENAME TO ${oldTable};`
     );
   }
 
@@ -284,34 +589,127 @@ export async function _handleRelationsDiff(
   reverseSQL = [],
   deferedSql = [],
   pendingFKConstraints = [],
-  isDbInspection
+  isDbInspection,
+  warnings = []
 ) {
   const pendingRelations = [];
 
   const autoThroughName = (base, target) => `${base}_${target}_link`;
 
+  // Snapshots store the generated `through` name, models usually don't
+  const withThrough = (rel) =>
+    rel.type === "manyToMany" && !rel.through
+      ? { ...rel, through: autoThroughName(table, rel.model) }
+      : rel;
+  const sameRelation = (a, b) =>
+    JSON.stringify(withThrough(a)) === JSON.stringify(withThrough(b));
+
+  // Inline: FK constraint + index behind a hasOne/hasMany (on the child table)
+  const relationForeignKeySql = (rel, baseTable) => {
+    const fkName = `fk_${rel.model}_${rel.foreignKey}`;
+    const indexName = `idx_${rel.model}_${rel.foreignKey}`;
+    const add = [
+      `ALTER TABLE ${rel.model} ADD CONSTRAINT ${fkName} FOREIGN KEY (${rel.foreignKey}) REFERENCES ${baseTable}(id);`,
+      `CREATE INDEX IF NOT EXISTS ${indexName} ON ${rel.model} (${rel.foreignKey});`,
+    ];
+    // MySQL needs the FK gone before the index it uses
+    const drop =
+      dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL
+        ? [
+            `ALTER TABLE ${rel.model} DROP FOREIGN KEY ${fkName};`,
+            `DROP INDEX ${indexName} ON ${rel.model};`,
+          ]
+        : [
+            `DROP INDEX IF EXISTS ${indexName};`,
+            `ALTER TABLE ${rel.model} DROP CONSTRAINT ${fkName};`,
+          ];
+    return { add, drop };
+  };
+
+  const batchModel = (tableName) =>
+    allNewModels.find(
+      ([_, model]) => (model.meta?.tableName || model.name) === tableName
+    )?.[1];
+
+  // Inline: Column and type a join table column needs to reference `tableName`
+  const primaryKeyOf = (tableName) => {
+    const model = batchModel(tableName);
+    const pk = Object.entries(model?.fields || {}).filter(
+      ([_, def]) => def.primaryKey
+    );
+    if (pk.length > 1) {
+      throw new SchemaValidationError(
+        `Relation error: "${tableName}" has a composite primary key, a join table can't reference it.`
+      );
+    }
+    if (pk.length === 0) return { column: "id", type: "INTEGER" };
+    const [[column, def]] = pk;
+    return { column, type: def.type };
+  };
+
+  // Inline: The join table of a manyToMany as a model: both key columns typed
+  // after the primary keys they reference, plus any fields of a `through` model
+  const joinTableModel = (rel, baseTable) => {
+    const extraFields = { ...(rel.throughFields || {}) };
+    const declaredKeys = {
+      [rel.foreignKey]: extraFields[rel.foreignKey],
+      [rel.otherKey]: extraFields[rel.otherKey],
+    };
+    delete extraFields[rel.foreignKey];
+    delete extraFields[rel.otherKey];
+
+    // A through model with its own primary key (e.g. `id`) keeps it
+    const ownPrimaryKey = Object.values(extraFields).some(
+      (def) => def.primaryKey
+    );
+
+    const keyColumn = (col, targetTable) => {
+      const pk = primaryKeyOf(targetTable);
+      const declared = declaredKeys[col] || {};
+      return {
+        type: pk.type,
+        ...declared,
+        primaryKey: declared.primaryKey || !ownPrimaryKey,
+        references: declared.references || {
+          model: targetTable,
+          column: pk.column,
+          ...(rel.onDelete ? { onDelete: rel.onDelete } : {}),
+          ...(rel.onUpdate ? { onUpdate: rel.onUpdate } : {}),
+        },
+      };
+    };
+
+    return {
+      name: rel.through,
+      fields: {
+        [rel.foreignKey]: keyColumn(rel.foreignKey, baseTable),
+        [rel.otherKey]: keyColumn(rel.otherKey, rel.model),
+        ...extraFields,
+      },
+      meta: { tableName: rel.through },
+    };
+  };
+
   // Inline: Decision logic as a nested helper (reusable within this scope)
   const decideRelationAction = async (rel, currentTable) => {
     const foreignTable = rel.model;
     const foreignKey = rel.foreignKey;
 
     const tableExists = await _tableExistsInDb(foreignTable);
+    const targetInBatch = !!batchModel(foreignTable);
+
+    // The keys of a manyToMany live in the join table, only the target matters
+    if (rel.type === "manyToMany") {
+      if (tableExists) return { action: "createNow" };
+      if (targetInBatch) return { action: "defer" };
+    }
+
     const columnExists = tableExists
       ? await _columnExistsInDb(foreignTable, foreignKey)
       : false;
 
-    const tablesInBatch = allNewModels.reduce(
-      (resultantAccumulatingArray, [_, model]) => {
-        const table = model.meta?.tableName || model.name;
-        resultantAccumulatingArray[table] = model;
-        return resultantAccumulatingArray;
-      },
-      {}
-    );
-
-    const targetInBatch = !!tablesInBatch[foreignTable];
     const targetDefinesField =
-      targetInBatch && !!(tablesInBatch[foreignTable].fields || {})[foreignKey];
+      targetInBatch && !!(batchModel(foreignTable).fields || {})[foreignKey];
 
     if (tableExists && columnExists) {
       return { action: "createNow" };
@@ -341,55 +739,33 @@ export async function _handleRelationsDiff(
   // Inline: SQL generation logic (extracted for reuse in both loops)
   const createRelationSql = async (rel, baseTable) => {
     if (rel.type === "manyToMany") {
-      return [
-        [
-          `CREATE TABLE IF NOT EXISTS ${rel.through} (
-          ${rel.foreignKey} INTEGER REFERENCES ${baseTable}(id),
-          ${rel.otherKey} INTEGER REFERENCES ${rel.model}(id),
-          PRIMARY KEY (${rel.foreignKey}, ${rel.otherKey})
-        );`,
-        ],
-        [`DROP TABLE IF EXISTS ${rel.through};`],
-      ];
+      // A join table that is a model of its own is created with the models
+      if (batchModel(rel.through)) return [[], []];
+
+      const joinSql = [];
+      const joinReverseSql = [];
+      await _generateCreateTableSQL(
+        rel.through,
+        joinTableModel(rel, baseTable),
+        joinSql,
+        joinReverseSql
+      );
+      return [joinSql, joinReverseSql];
     } else if (rel.type === "hasOne" || rel.type === "hasMany") {
       const tableExists = await _tableExistsInDb(rel.model);
       if (tableExists) {
         if (dbType == SUPPORTED_SQL_DIALECTS_TYPES.SQLITE && !isDbInspection) {
           // THROW ERROR due to SQLite limitation
-          console.error(
-            chalk.red(
-              `SQLite inherently prevents adding constraints post-DB initialization. Drop-and-Recreate or direct reference`
-            )
+          throw new SchemaValidationError(
+            `SQLite inherently prevents adding constraints post-DB initialization. Drop-and-Recreate or direct reference`
           );
-          process.exit();
         } else {
+          const { add, drop } = relationForeignKeySql(rel, baseTable);
           if (isDbInspection) {
-            deferedSql.push(
-              `ALTER TABLE ${rel.model} ADD CONSTRAINT fk_${rel.model}_${rel.foreignKey} FOREIGN KEY (${rel.foreignKey}) REFERENCES ${baseTable}(id);`
-            );
-            deferedSql.push(
-              `CREATE INDEX IF NOT EXISTS idx_${rel.model}_${rel.foreignKey} ON ${rel.model} (${rel.foreignKey});`
-            );
-
-            deferedSql.push(
-              `DROP INDEX IF EXISTS idx_${rel.model}_${rel.foreignKey};`
-            );
-
-            deferedSql.push(
-              `ALTER TABLE ${rel.model} DROP CONSTRAINT fk_${rel.model}_${rel.foreignKey};`
-            );
+            deferedSql.push(...add, ...drop);
             return [[], []];
           } else {
-            return [
-              [
-                `ALTER TABLE ${rel.model} ADD CONSTRAINT fk_${rel.model}_${rel.foreignKey} FOREIGN KEY (${rel.foreignKey}) REFERENCES ${baseTable}(id);`,
-                `CREATE INDEX IF NOT EXISTS idx_${rel.model}_${rel.foreignKey} ON ${rel.model} (${rel.foreignKey});`,
-              ],
-              [
-                `DROP INDEX IF EXISTS idx_${rel.model}_${rel.foreignKey};`,
-                `ALTER TABLE ${rel.model} DROP CONSTRAINT fk_${rel.model}_${rel.foreignKey};`,
-              ],
-            ];
+            return [add, drop];
           }
         }
       } else {
@@ -425,9 +801,136 @@ export async function _handleRelationsDiff(
     return [[], []];
   };
 
+  // Inline: SQL removing what `createRelationSql` made for `rel`, and its reverse
+  const dropRelationSql = async (rel, baseTable, relName) => {
+    if (rel.type === "manyToMany") {
+      const [createJoinSql, dropJoinSql] = await createRelationSql(
+        rel,
+        baseTable
+      );
+      if (createJoinSql.length === 0) return [[], []];
+      warnings.push(
+        `Join table "${rel.through}" of relation "${baseTable}.${relName}" was removed, its rows are dropped with it.`
+      );
+      return [dropJoinSql, createJoinSql];
+    }
+
+    if (rel.type === "hasOne" || rel.type === "hasMany") {
+      // A child table that's gone (or being dropped) takes the FK with it
+      const childKept = allNewModels.some(
+        ([_, model]) => (model.meta?.tableName || model.name) === rel.model
+      );
+      if (!childKept || !(await _tableExistsInDb(rel.model))) return [[], []];
+
+      if (dbType == SUPPORTED_SQL_DIALECTS_TYPES.SQLITE) {
+        throw new SchemaValidationError(
+          `SQLite can't drop the foreign key behind relation "${baseTable}.${relName}" without rebuilding "${rel.model}". ` +
+            `Declare it as \`references\` on "${rel.model}.${rel.foreignKey}" instead, or rebuild the table manually.`
+        );
+      }
+
+      const { add, drop } = relationForeignKeySql(rel, baseTable);
+      return [drop, add];
+    }
+    return [[], []];
+  };
+
+  // Reverse statements restoring removed/changed relations. They run after
+  // the new relations are undone.
+  const restoreSQL = [];
+  // New relations already handled by altering/renaming their join table
+  const joinTableChanged = new Set();
+
+  // Removed or changed relations
+  for (const [relName, oldRel] of Object.entries(oldRelations)) {
+    const kept = Object.values(newRelations).some((rel) =>
+      sameRelation(oldRel, rel)
+    );
+    if (kept) continue;
+
+    const previous = withThrough(oldRel);
+    const rel = newRelations[relName] && withThrough(newRelations[relName]);
+
+    // Only the join table name changed: rename it, keeping its rows
+    if (
+      previous.type === "manyToMany" &&
+      rel?.type === "manyToMany" &&
+      sameRelation({ ...previous, through: rel.through }, rel)
+    ) {
+      sql.push(`ALTER TABLE ${previous.through} RENAME TO ${rel.through};`);
+      // Derived constraint names follow the table, so later diffs find them
+      const renameBackSql = [];
+      const joinFields = joinTableModel(rel, table).fields;
+      for (const [col, def] of Object.entries(joinFields)) {
+        if (!def.references || def.references.name) continue;
+        const oldName = _foreignKeyName(previous.through, col, def.references);
+        const newName = _foreignKeyName(rel.through, col, def.references);
+        sql.push(
+          ..._renameForeignKeySql(
+            rel.through,
+            col,
+            def.references,
+            oldName,
+            newName
+          )
+        );
+        renameBackSql.push(
+          ..._renameForeignKeySql(
+            rel.through,
+            col,
+            def.references,
+            newName,
+            oldName
+          )
+        );
+      }
+      restoreSQL.push(
+        ...renameBackSql,
+        `ALTER TABLE ${rel.through} RENAME TO ${previous.through};`
+      );
+      joinTableChanged.add(relName);
+      continue;
+    }
+
+    // Same join table and keys, other columns or cascade rules: alter it
+    if (
+      previous.type === "manyToMany" &&
+      rel?.type === "manyToMany" &&
+      previous.through === rel.through &&
+      previous.model === rel.model &&
+      previous.foreignKey === rel.foreignKey &&
+      previous.otherKey === rel.otherKey &&
+      !batchModel(rel.through)
+    ) {
+      const newJoinModel = joinTableModel(rel, table);
+      await _handleFieldDiff(
+        rel.through,
+        joinTableModel(previous, table).fields,
+        newJoinModel.fields,
+        sql,
+        reverseSQL,
+        warnings,
+        { newModel: newJoinModel }
+      );
+      joinTableChanged.add(relName);
+      continue;
+    }
+
+    const [dropSql, reverseDropSql] = await dropRelationSql(
+      previous,
+      table,
+      relName
+    );
+    sql.push(...dropSql);
+    restoreSQL.push(...reverseDropSql);
+  }
+
   for (const [relName, rel] of Object.entries(newRelations)) {
-    const oldRel = oldRelations[relName];
-    if (JSON.stringify(oldRel) === JSON.stringify(rel)) continue;
+    if (joinTableChanged.has(relName)) continue;
+    const unchanged = Object.values(oldRelations).some((oldRel) =>
+      sameRelation(oldRel, rel)
+    );
+    if (unchanged) continue;
 
     if (rel.type === "manyToMany" && !rel.through) {
       rel.through = autoThroughName(table, rel.model);
@@ -436,8 +939,7 @@ export async function _handleRelationsDiff(
     const { action, error } = await decideRelationAction(rel, table);
 
     if (error) {
-      console.error(chalk.red(`❌ ${error.name}:`), error.message);
-      process.exit();
+      throw new SchemaValidationError(`${error.name}: ${error.message}`);
     }
 
     if (action === "defer") {
@@ -448,7 +950,8 @@ export async function _handleRelationsDiff(
     if (action === "createNow") {
       const [relSql, reverseRelSQL] = await createRelationSql(rel, table);
       sql.push(...relSql);
-      reverseSQL.push(...reverseRelSQL);
+      // Undone before the tables it links get dropped
+      reverseSQL.unshift(...reverseRelSQL);
     }
   }
 
@@ -459,8 +962,7 @@ export async function _handleRelationsDiff(
       const { action, error } = await decideRelationAction(rel, base);
 
       if (error) {
-        console.error(chalk.red(`❌ ${error.name}:`), error.message);
-        process.exit();
+        throw new SchemaValidationError(`${error.name}: ${error.message}`);
       }
 
       switch (action) {
@@ -469,20 +971,18 @@ export async function _handleRelationsDiff(
           // Create the now-valid relation but defer the sql.push
           var [relSql, reverseRelSQL] = await createRelationSql(rel, base);
           deferedSql.push(...relSql);
-          reverseSQL.push(...reverseRelSQL);
+          reverseSQL.unshift(...reverseRelSQL);
           break;
         case "createNow":
           // Create the now-valid relation
           var [relSql, reverseRelSQL] = await createRelationSql(rel, base);
           sql.push(...relSql);
-          reverseSQL.push(...reverseRelSQL);
+          reverseSQL.unshift(...reverseRelSQL);
           break;
         default:
-          console.error(
-            chalk.red("Error"),
+          throw new SchemaValidationError(
             `Pending relation ${base}.${relName} still cannot be created (table/field missing).`
           );
-          process.exit();
       }
     }
 
@@ -490,9 +990,43 @@ export async function _handleRelationsDiff(
     pendingRelations.length = 0;
   }
 
+  reverseSQL.push(...restoreSQL);
+
   return sql;
 }
 
+function _suppliedAnswer(actionType, options) {
+  switch (actionType) {
+    case "RENAME_COL": {
+      const { table, oldCol, newCol } = options;
+      const entry = promptPolicy.renames.find(
+        (r) =>
+          r.table === table && (r.old === oldCol || (r.new && r.new === newCol))
+      );
+      // A supplied entry for either column settles the question
+      if (entry) return entry.old === oldCol && entry.new === newCol;
+      break;
+    }
+  }
+  if (promptPolicy.assumeYes) return true;
+  return undefined;
+}
+
+function _describeUnansweredPrompt(actionType, options) {
+  switch (actionType) {
+    case "RENAME_COL":
+      return (
+        `Column "${options.table}.${options.newCol}" may be a rename of "${options.oldCol}".\n` +
+        `Answer with --renames ${options.table}.${options.oldCol}:${options.newCol} (rename) or ` +
+        `--renames ${options.table}.${options.oldCol}: (drop and add), or pass --yes.`
+      );
+    case "SQLITE_TABLE_REBUILD":
+      return `Table "${options.table}" needs a SQLite rebuild. Pass --yes to allow it.`;
+    default:
+      return `Unanswered prompt: ${actionType}`;
+  }
+}
+
 async function _confirmInputFromTerminal(
   actionType,
   options,
@@ -504,6 +1038,17 @@ async function _confirmInputFromTerminal(
 
   if (!interactive) return false;
 
+  const supplied = _suppliedAnswer(actionType, options);
+  if (supplied !== undefined) return supplied;
+
+  if (!promptPolicy.interactive) {
+    throw new PromptRequiredError(
+      "Cannot continue without input (--no-input):\n" +
+        _describeUnansweredPrompt(actionType, options),
+      { actionType, ...options }
+    );
+  }
+
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
@@ -549,12 +1094,49 @@ async function _handleFieldDiff(
   warnings = [],
   options = {}
 ) {
-  const { newModel } = options;
+  const { newModel, oldMeta, oldTable = table } = options;
 
   const dropped = Object.keys(oldFields).filter((c) => !newFields[c]);
   const added = Object.keys(newFields).filter((c) => !oldFields[c]);
   const renames = [];
 
+  // Reverse renames run last, after any reverse ALTERs on the new names
+  const reverseRenames = [];
+  const recordRename = (oldCol, newCol) => {
+    renames.push({ old: oldCol, new: newCol });
+    sql.push(`ALTER TABLE ${table} RENAME COLUMN ${oldCol} TO ${newCol};`);
+    reverseRenames.push(
+      `ALTER TABLE ${table} RENAME COLUMN ${newCol} TO ${oldCol};`
+    );
+    dropped.splice(dropped.indexOf(oldCol), 1);
+    added.splice(added.indexOf(newCol), 1);
+  };
+
+  // Declared on the model: `renamedFrom: "old_name"`, never prompted
+  for (const newCol of [...added]) {
+    const oldCol = newFields[newCol].renamedFrom;
+    if (!oldCol) continue;
+    if (dropped.includes(oldCol)) {
+      recordRename(oldCol, newCol);
+    } else {
+      warnings.push(
+        `Column "${table}.${newCol}" declares renamedFrom "${oldCol}", but "${oldCol}" is not in the previous schema. It will be added as a new column.`
+      );
+    }
+  }
+
+  // Renames supplied up front apply even when the definitions differ
+  for (const rename of promptPolicy.renames) {
+    if (rename.table !== table || !rename.new) continue;
+    if (dropped.includes(rename.old) && added.includes(rename.new)) {
+      recordRename(rename.old, rename.new);
+    } else {
+      warnings.push(
+        `Rename "${table}.${rename.old}" -> "${rename.new}" was supplied but does not match a dropped and an added column.`
+      );
+    }
+  }
+
   // Detect potential renames
   for (const newCol of [...added]) {
     const newDef = newFields[newCol];
@@ -581,25 +1163,89 @@ async function _handleFieldDiff(
         );
 
         if (answer) {
-          renames.push({ old: oldCol, new: newCol });
-          sql.push(
-            `ALTER TABLE ${table} RENAME COLUMN ${oldCol} TO ${newCol};`
-          );
-          reverseSQL.push(
-            `ALTER TABLE ${table} RENAME COLUMN ${newCol} TO ${oldCol};`
-          );
-          dropped.splice(dropped.indexOf(oldCol), 1);
-          added.splice(added.indexOf(newCol), 1);
+          recordRename(oldCol, newCol);
           break;
         }
       }
     }
   }
 
+  // SQLite can't alter columns or constraints, or drop a column that is part
+  // of a foreign key (so it couldn't undo adding one either). All of that is
+  // collected up front, the table is rebuilt once and that rebuild takes care
+  // of the added and dropped columns too.
+  const isSQLite = dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE;
+  const rebuildReasons = [];
+  if (isSQLite) {
+    const describeReferences = (col, ref) =>
+      ref ? _foreignKeyReferences(table, col, ref) : "";
+
+    rebuildReasons.push(...(options.rebuildReasons || []));
+    for (const [col, def] of Object.entries(newFields)) {
+      const oldDef = oldFields[col];
+      if (!oldDef) {
+        continue;
+      }
+
+      let message = "";
+      if (def.type !== oldDef.type) {
+        message += `\nType: [Old: ${oldDef.type}] --> [New: ${def.type}]`;
+      }
+
+      if (def.default !== oldDef.default) {
+        message += `\nDefault: [Old: ${
+          oldDef.default != undefined ? `DEFAULT ${oldDef.default}` : ""
+        }] --> [New: ${
+          def.default != undefined ? `DEFAULT ${def.default}` : ""
+        }]`;
+      }
+
+      if ((def.nullable === true) !== (oldDef.nullable === true)) {
+        message += `\nNull Status: [Old: ${
+          oldDef.nullable === true ? `` : "NOT NULL"
+        }] --> [New: ${def.nullable === true ? "" : "NOT NULL"}]`;
+      }
+
+      if (_referencesChanged(oldDef.references, def.references)) {
+        message += `\nForeign Key: [Old: ${describeReferences(
+          col,
+          oldDef.references
+        )}] --> [New: ${describeReferences(col, def.references)}]`;
+      }
+
+      if (message) rebuildReasons.push(`Column: "${table}.${col}"${message}`);
+    }
+
+    for (const col of added.filter((col) => newFields[col].references)) {
+      rebuildReasons.push(
+        `Column: "${table}.${col}"\nAdded with a foreign key: ${describeReferences(
+          col,
+          newFields[col].references
+        )}`
+      );
+    }
+    for (const col of dropped.filter((col) => oldFields[col].references)) {
+      rebuildReasons.push(
+        `Column: "${table}.${col}"\nDropped, but it has a foreign key`
+      );
+    }
+  }
+  const sqliteRebuild = rebuildReasons.length > 0;
+
   // Drop columns in dropped
   for (const col of dropped) {
-    sql.push(`ALTER TABLE ${table} DROP COLUMN ${col};`);
+    if (sqliteRebuild) continue;
     const oldDef = oldFields[col];
+    // Derived names keep the table name they were created with
+    const oldFkName =
+      oldDef.references &&
+      _foreignKeyName(oldTable, col, oldDef.references);
+    if (oldDef.references && dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL) {
+      sql.push(
+        _dropForeignKeySql(table, col, oldDef.references, oldFkName)
+      );
+    }
+    sql.push(`ALTER TABLE ${table} DROP COLUMN ${col};`);
     const oldDefVal =
       typeof oldDef.default === "string"
         ? `'${oldDef.default}'`
@@ -609,10 +1255,16 @@ async function _handleFieldDiff(
         oldDef.default !== undefined ? ` DEFAULT ${oldDefVal}` : ""
       };`
     );
+    if (oldDef.references) {
+      reverseSQL.push(
+        _addForeignKeySql(table, col, oldDef.references, oldFkName)
+      );
+    }
   }
 
   // Add new columns
   for (const col of added) {
+    if (sqliteRebuild) continue;
     const def = newFields[col];
     const defVal =
       typeof def.default === "string" ? `'${def.default}'` : def.default;
@@ -631,92 +1283,86 @@ async function _handleFieldDiff(
         notNull ? " NOT NULL" : ""
       }${def.default !== undefined ? ` DEFAULT ${defVal}` : ""};`
     );
+    if (def.references) {
+      sql.push(_addForeignKeySql(table, col, def.references));
+      reverseSQL.push(_dropForeignKeySql(table, col, def.references));
+    }
     reverseSQL.push(`ALTER TABLE ${table} DROP COLUMN ${col};`);
   }
 
   // Detect modifications on existing columns
-  const columnUniqueSchemaChanged = Object.entries(newFields).filter(
-    ([col, def]) => {
-      const oldDef = oldFields[col];
-      if (!oldDef) return false;
-      return (
-        def.type !== oldDef.type ||
-        def.default !== oldDef.default ||
-        (def.nullable === true) !== (oldDef.nullable === true)
-      );
-    }
-  );
-
-  if (
-    dbType === SUPPORTED_SQL_DIALECTS_TYPES.SQLITE &&
-    columnUniqueSchemaChanged.length > 0
-  ) {
-    for (const [col, def] of Object.entries(newFields)) {
-      const oldDef = oldFields[col];
-      if (!oldDef) {
-        continue;
-      }
+  const renamedSource = (col) => renames.find((r) => r.new === col)?.old;
 
+  if (isSQLite) {
+    for (const { old: oldCol, new: newCol } of renames) {
+      const oldDef = oldFields[oldCol];
+      const def = newFields[newCol];
       if (
         def.type !== oldDef.type ||
         def.default !== oldDef.default ||
-        (def.nullable === true) !== (oldDef.nullable === true)
+        (def.nullable === true) !== (oldDef.nullable === true) ||
+        _referencesChanged(oldDef.references, def.references)
       ) {
-        console.warn(
-          chalk.yellow(
-            `SQLite does not support ALTER COLUMN TYPE, DEFAULT, or NULL changes.`
-          )
+        throw new SchemaValidationError(
+          `SQLite cannot rename "${table}.${oldCol}" to "${newCol}" and change its definition in one migration. ` +
+            `Rename it first, then change the definition in a separate migration.`
         );
-        let message = `Column: "${table}.${col}"`;
-        if (def.type !== oldDef.type) {
-          message += `\nType: [Old: ${oldDef.type}] --> [New: ${def.type}]`;
-        }
-
-        if (def.default !== oldDef.default) {
-          message += `\nDefault: [Old: ${
-            oldDef.default != undefined ? `DEFAULT ${oldDef.default}` : ""
-          }] --> [New: ${
-            def.default != undefined ? `DEFAULT ${def.default}` : ""
-          }]`;
-        }
-
-        if ((def.nullable === true) !== (oldDef.nullable === true)) {
-          message += `\nNull Status: [Old: ${
-            oldDef.nullable === true ? `` : "NOT NULL"
-          }] --> [New: ${def.nullable === true ? "" : "NOT NULL"}]`;
-        }
+      }
+    }
+  }
 
-        console.warn(chalk.yellow(message));
+  if (sqliteRebuild) {
+    logger.warn(
+      chalk.yellow(
+        `SQLite does not support ALTER COLUMN TYPE, DEFAULT, NULL or constraint changes.`
+      )
+    );
+    for (const message of rebuildReasons) {
+      logger.warn(chalk.yellow(message));
+    }
 
-        const answer = await _confirmInputFromTerminal(
-          "SQLITE_TABLE_REBUILD",
-          {
-            table,
-          },
-          true
-        );
+    const answer = await _confirmInputFromTerminal(
+      "SQLITE_TABLE_REBUILD",
+      {
+        table,
+      },
+      true
+    );
 
-        if (!answer) process.exit();
+    if (!answer) throw new MigrationCancelledError();
 
-        await rebuildTableForSqlite(
-          table,
-          oldFields,
-          newFields,
-          newModel,
-          renames,
-          _generateCreateTableSQL,
-          sql,
-          reverseSQL,
-          warnings
-        );
-      }
+    if (existenceSnapshot) {
+      warnings.push(
+        `Rebuild of "${table}" copies indexes and triggers from the live database, which does not include pending migrations yet. Review the generated SQL.`
+      );
     }
-  } else {
+
+    await rebuildTableForSqlite(
+      table,
+      oldFields,
+      newFields,
+      newModel,
+      renames,
+      _generateCreateTableSQL,
+      sql,
+      reverseSQL,
+      warnings,
+      oldMeta
+    );
+  } else if (!isSQLite) {
     const enumForward = new Map();
     const enumReverse = new Map();
     for (const [col, def] of Object.entries(newFields)) {
-      const oldDef = oldFields[col];
-      if (!oldDef || renames.some((r) => r.new === col)) continue;
+      // Renamed columns are compared with their previous definition
+      const renamedFrom = renamedSource(col);
+      const oldDef = oldFields[col] || oldFields[renamedFrom];
+      if (!oldDef) continue;
+
+      // Statements normally hoisted to the top must follow the rename.
+      // Hoisted ones also run before a table rename, so use the old name.
+      const prependSql = (statement) =>
+        renamedFrom ? sql.push(statement) : sql.unshift(statement);
+      const prependTable = renamedFrom ? table : oldTable;
 
       const oldNullable = oldDef.nullable === true;
       const newNullable = def.nullable === true;
@@ -725,6 +1371,26 @@ async function _handleFieldDiff(
       const isMySQL = dbType === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL;
       const isPostgres = dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES;
 
+      // Foreign key changed. It's dropped before and re-added after any
+      // column change; a derived name follows a column or table rename.
+      const oldFkName =
+        oldDef.references &&
+        _foreignKeyName(oldTable, renamedFrom || col, oldDef.references);
+      const newFkName =
+        def.references && _foreignKeyName(table, col, def.references);
+      const foreignKeyChanged =
+        _referencesChanged(oldDef.references, def.references) ||
+        oldFkName !== newFkName;
+
+      if (foreignKeyChanged && oldDef.references) {
+        prependSql(
+          _dropForeignKeySql(prependTable, col, oldDef.references, oldFkName)
+        );
+      }
+      if (foreignKeyChanged && def.references) {
+        reverseSQL.push(_dropForeignKeySql(table, col, def.references));
+      }
+
       // Type changed
       if (def.type !== oldDef.type) {
         if (isEnumField) {
@@ -798,8 +1464,8 @@ async function _handleFieldDiff(
         if (isEnumField && isPostgres) {
           // Drop old default
           if (oldDefault !== null) {
-            sql.unshift(
-              `ALTER TABLE ${table} ALTER COLUMN ${col} DROP DEFAULT;`,
+            prependSql(
+              `ALTER TABLE ${prependTable} ALTER COLUMN ${col} DROP DEFAULT;`,
             );
             reverseSQL.push(
               `ALTER TABLE ${table} ALTER COLUMN ${col} SET DEFAULT ${oldDefault}::${oldDef.type};`,
@@ -817,8 +1483,8 @@ async function _handleFieldDiff(
           }
         } else {
           if (newDefault === null) {
-            sql.unshift(
-              `ALTER TABLE ${table} ALTER COLUMN ${col} DROP DEFAULT;`,
+            prependSql(
+              `ALTER TABLE ${prependTable} ALTER COLUMN ${col} DROP DEFAULT;`,
             );
             if (oldDefault !== null) {
               reverseSQL.push(
@@ -835,6 +1501,16 @@ async function _handleFieldDiff(
           }
         }
       }
+
+      if (foreignKeyChanged && def.references) {
+        sql.push(_addForeignKeySql(table, col, def.references));
+      }
+      if (foreignKeyChanged && oldDef.references) {
+        // Reverse renames run last, so this still uses the new column name
+        reverseSQL.push(
+          _addForeignKeySql(table, col, oldDef.references, oldFkName)
+        );
+      }
     }
 
     if (dbType === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES) {
@@ -849,6 +1525,8 @@ async function _handleFieldDiff(
     }
   }
 
+  reverseSQL.push(...reverseRenames);
+
   return { sql, warnings, renames };
 }
 
@@ -905,7 +1583,7 @@ async function _handleTriggersDiff(
             dropSql.push(`DROP TRIGGER IF EXISTS ${dropName};`);
             break;
           default:
-            console.warn(
+            logger.warn(
               `Unsupported dbType: ${dbType}; using generic syntax.`
             );
             dropSql.push(`DROP TRIGGER IF EXISTS ${dropName};`);
@@ -959,7 +1637,7 @@ async function _handleTriggersDiff(
               dropSql.push(`DROP TRIGGER IF EXISTS ${dropName};`);
               break;
             default:
-              console.warn(
+              logger.warn(
                 `Unsupported dbType: ${dbType}; using generic syntax.`
               );
               dropSql.push(`DROP TRIGGER IF EXISTS ${dropName};`);
@@ -997,8 +1675,7 @@ async function _handleTriggersDiff(
 
           const validation = await _validateTriggerBody(body, allNewModels);
           if (validation.action === "error") {
-            console.error(chalk.red(`${validation.error}`));
-            process.exit();
+            throw new SchemaValidationError(`${validation.error}`);
           }
 
           const returnClause =
@@ -1140,10 +1817,6 @@ export async function _generateCreateTableSQL(
       columnSQLdef += ` ${baseType}${autoInc ? ` ${autoInc}` : ""}`;
     }
 
-    if (def.unique) {
-      columnSQLdef += " UNIQUE";
-    }
-
     // Nullability
     const nullable = def.nullable === true;
     const notNull = !nullable;
@@ -1166,14 +1839,11 @@ export async function _generateCreateTableSQL(
   // Post-loop: Validate composite && Auto-Increment
   const pkQuoted = pk.map((col) => getIdentifierQuote(col));
   if (pkQuoted.length > 1 && hasAutoIncInPk) {
-    console.error(
-      chalk.red(
-        `[${pkQuoted.join(
-          ", "
-        )}] in '${table}' table forms a composite PK. Auto-increment is invalid for composites (SQL-Engine: ${engine}).`
-      )
+    throw new SchemaValidationError(
+      `[${pkQuoted.join(
+        ", "
+      )}] in '${table}' table forms a composite PK. Auto-increment is invalid for composites (SQL-Engine: ${engine}).`
     );
-    process.exit(1);
   }
 
   // Handle primary key constraint
@@ -1232,6 +1902,23 @@ export async function _generateCreateTableSQL(
     }
   }
 
+  // UNIQUE constraints, named so later migrations can drop them
+  for (const { name, fields } of _tableUniques(table, newModel)) {
+    columns.push(`CONSTRAINT ${name} UNIQUE (${fields.join(", ")})`);
+  }
+
+  // Field-level foreign keys
+  for (const [col, def] of Object.entries(newModel.fields)) {
+    if (def.references) {
+      columns.push(_foreignKeyConstraint(table, col, def.references));
+    }
+  }
+
+  // CHECK constraints
+  for (const { name, expression } of _tableChecks(table, newModel)) {
+    columns.push(`CONSTRAINT ${name} CHECK (${expression})`);
+  }
+
   // Check pendingFKConstraints
   pendingFKConstraints.map((record) => {
     const table = newModel.meta?.tableName || newModel.name;
@@ -1254,7 +1941,15 @@ export async function _generateCreateTableSQL(
 
   if (!leanSQLBuild) {
     sql.push(tableSQL);
-    reverseSQL.push(dropTableSQL);
+    // Tables created after the ones they reference are dropped before them
+    const hasReferences = Object.values(newModel.fields).some(
+      (def) => def.references
+    );
+    if (hasReferences) {
+      reverseSQL.unshift(dropTableSQL);
+    } else {
+      reverseSQL.push(dropTableSQL);
+    }
   }
 
   return [tableSQL, dropTableSQL];
@@ -1265,6 +1960,29 @@ export async function diffSchemas(
   newSchema,
   options = { inspectDB: false }
 ) {
+  existenceSnapshot = options.existenceSnapshot || null;
+  modelTables = {};
+  for (const model of [
+    ...Object.values(oldSchema),
+    ...Object.values(newSchema),
+  ]) {
+    modelTables[model.name] = model.meta?.tableName || model.name;
+  }
+  promptPolicy = {
+    interactive: options.interactive !== false,
+    assumeYes: options.assumeYes === true,
+    renames: options.renames || [],
+  };
+  try {
+    return await _diffSchemas(oldSchema, newSchema, options);
+  } finally {
+    existenceSnapshot = null;
+    modelTables = {};
+    promptPolicy = { interactive: true, assumeYes: false, renames: [] };
+  }
+}
+
+async function _diffSchemas(oldSchema, newSchema, options) {
   const sql = [];
   const reverseSQL = [];
   const warnings = [];
@@ -1275,11 +1993,29 @@ export async function diffSchemas(
     const table = newModel.meta?.tableName || newModel.name;
     let tableIsNew;
 
-    const oldModel =
+    let oldModel =
       Object.values(oldSchema).find(
         (m) => (m.meta?.tableName || m.name) === table
       ) || {};
 
+    // Declared table rename: `meta: { renamedFrom: "old_table" }`
+    const renamedFrom = newModel.meta?.renamedFrom;
+    if (Object.entries(oldModel).length == 0 && renamedFrom) {
+      oldModel =
+        Object.values(oldSchema).find(
+          (m) => (m.meta?.tableName || m.name) === renamedFrom
+        ) || {};
+      if (Object.entries(oldModel).length == 0) {
+        warnings.push(
+          `Table "${table}" declares renamedFrom "${renamedFrom}", but "${renamedFrom}" is not in the previous schema. It will be created as a new table.`
+        );
+      }
+    }
+    const oldTable =
+      Object.entries(oldModel).length > 0
+        ? oldModel.meta?.tableName || oldModel.name
+        : table;
+
     // If table doesn’t exist in old schema, create it
     if (Object.entries(oldModel).length == 0) {
       tableIsNew = true;
@@ -1292,8 +2028,26 @@ export async function diffSchemas(
       );
     }
 
-    // Handle meta-level changes (table rename, comment, indexes)
-    await _handleMetaDiff(table, oldModel.meta, newModel.meta, sql, reverseSQL);
+    // Handle meta-level changes (table rename, comment, indexes, checks)
+    const afterFieldsSql = [];
+    const afterFieldsReverseSQL = [];
+    const rebuildReasons = [];
+    await _handleMetaDiff(
+      table,
+      oldModel.meta,
+      newModel.meta,
+      sql,
+      reverseSQL,
+      oldTable,
+      {
+        tableIsNew,
+        oldFields: oldModel.fields,
+        newFields: newModel.fields,
+        afterFieldsSql,
+        afterFieldsReverseSQL,
+        rebuildReasons,
+      }
+    );
 
     if (!tableIsNew) {
       // Handle fields (columns)
@@ -1304,8 +2058,10 @@ export async function diffSchemas(
         sql,
         reverseSQL,
         warnings,
-        { newModel }
+        { newModel, oldMeta: oldModel.meta, oldTable, rebuildReasons }
       );
+      sql.push(...afterFieldsSql);
+      reverseSQL.push(...afterFieldsReverseSQL);
     }
 
     // Handle relationships
@@ -1319,7 +2075,8 @@ export async function diffSchemas(
       reverseSQL,
       deferredRelationSqlDiff,
       pendingFKConstraints,
-      options.inspectDB
+      options.inspectDB,
+      warnings
     );
 
     // Handle triggers
@@ -1337,7 +2094,9 @@ export async function diffSchemas(
       const table = oldModel.meta?.tableName || oldModel.name;
 
       const existsInNew = Object.values(newSchema).some(
-        (m) => (m.meta?.tableName || m.name) === table
+        (m) =>
+          (m.meta?.tableName || m.name) === table ||
+          m.meta?.renamedFrom === table
       );
 
       if (!existsInNew) {
@@ -0,0 +1,33 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Each migration carries the schema as it stands *after* that migration,
+ * in a `<timestamp>_<name>.snapshot.json` sidecar next to its `.sql` file.
+ */
+export function migrationSnapshotPath(migrationsDir, file) {
+  return path.join(migrationsDir, file.replace(/\.sql$/, ".snapshot.json"));
+}
+
+export function writeMigrationSnapshot(migrationsDir, file, schema) {
+  fs.writeFileSync(
+    migrationSnapshotPath(migrationsDir, file),
+    JSON.stringify(schema, null, 2)
+  );
+}
+
+/**
+ * Post-migration schema for `file`. Migrations created before sidecars
+ * existed fall back to the latest `schema_snapshot.json`, which is only
+ * accurate for the newest of them.
+ */
+export function readMigrationSnapshot(migrationsDir, file, snapshotFile) {
+  const sidecar = migrationSnapshotPath(migrationsDir, file);
+  if (fs.existsSync(sidecar)) {
+    return JSON.parse(fs.readFileSync(sidecar, "utf-8"));
+  }
+  if (snapshotFile && fs.existsSync(snapshotFile)) {
+    return JSON.parse(fs.readFileSync(snapshotFile, "utf-8"));
+  }
+  return null;
+}
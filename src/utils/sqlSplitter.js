@@ -0,0 +1,175 @@
+import { SUPPORTED_SQL_DIALECTS_TYPES } from "./constants.js";
+import { hasExecutableSql } from "./generics.js";
+
+const WORD = /[A-Za-z_][A-Za-z0-9_]*/y;
+const DOLLAR_TAG = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+// MySQL `END IF;` / `END LOOP;` etc. close blocks that were never counted
+const NON_BLOCK_END = /\s+(?:IF|LOOP|WHILE|REPEAT)\b/iy;
+const END_CASE = /\s+CASE\b/iy;
+
+function _matchAt(regex, text, index) {
+  regex.lastIndex = index;
+  const match = regex.exec(text);
+  return match ? match[0] : null;
+}
+
+/** End index (exclusive) of a quoted string/identifier starting at `start` */
+function _quotedEnd(sql, start, quote, backslashEscapes) {
+  let i = start + 1;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (backslashEscapes && ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) {
+      // Doubled quote is an escaped quote
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return sql.length;
+}
+
+/**
+ * Split a migration file into individual statements.
+ *
+ * Semicolons inside quotes (including Postgres `E'...'` escapes), comments,
+ * Postgres `$$` bodies and `BEGIN ... END` trigger blocks don't end a
+ * statement.
+ * Returns `[{ index, line, text }]`, where `line` is where the statement
+ * starts in the file (leading comments are dropped).
+ */
+export function splitSqlStatements(
+  sql,
+  dialect = process.env.DATABASE_ENGINE
+) {
+  const isPostgres = dialect === SUPPORTED_SQL_DIALECTS_TYPES.POSTGRES;
+  const isMySQL = dialect === SUPPORTED_SQL_DIALECTS_TYPES.MYSQL;
+  const source = String(sql);
+
+  const statements = [];
+  let current = "";
+  let startLine = null;
+  let firstWord = null;
+  let depth = 0; // open BEGIN/CASE blocks
+  let line = 1;
+  let i = 0;
+
+  const advance = (chunk, keep = true) => {
+    if (keep) {
+      if (startLine === null) startLine = line;
+      current += chunk;
+    }
+    line += (chunk.match(/\n/g) || []).length;
+    i += chunk.length;
+  };
+
+  const finishStatement = () => {
+    const text = current.trim();
+    if (hasExecutableSql(text)) {
+      statements.push({ index: statements.length + 1, line: startLine, text });
+    }
+    current = "";
+    startLine = null;
+    firstWord = null;
+    depth = 0;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    // Comments, kept only once a statement has started
+    if ((ch === "-" && next === "-") || (isMySQL && ch === "#")) {
+      const end = source.indexOf("\n", i);
+      advance(
+        source.slice(i, end === -1 ? source.length : end),
+        startLine !== null
+      );
+      continue;
+    }
+    if (ch === "/" && next === "*") {
+      const end = source.indexOf("*/", i + 2);
+      advance(
+        source.slice(i, end === -1 ? source.length : end + 2),
+        startLine !== null
+      );
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      advance(ch, startLine !== null);
+      continue;
+    }
+
+    if (ch === "'" || ch === '"' || (isMySQL && ch === "`")) {
+      const end = _quotedEnd(source, i, ch, isMySQL && ch !== "`");
+      advance(source.slice(i, end));
+      continue;
+    }
+
+    // Postgres E'...' strings take backslash escapes, plain ones don't
+    if (
+      isPostgres &&
+      (ch === "E" || ch === "e") &&
+      next === "'" &&
+      !/[A-Za-z0-9_$]/.test(source[i - 1] || "")
+    ) {
+      const end = _quotedEnd(source, i + 1, "'", true);
+      advance(source.slice(i, end));
+      continue;
+    }
+
+    if (isPostgres && ch === "$") {
+      const tag = _matchAt(DOLLAR_TAG, source, i);
+      if (tag) {
+        const close = source.indexOf(tag, i + tag.length);
+        const end = close === -1 ? source.length : close + tag.length;
+        advance(source.slice(i, end));
+        continue;
+      }
+    }
+
+    const word = _matchAt(WORD, source, i);
+    if (word) {
+      const upper = word.toUpperCase();
+      const isFirstWord = firstWord === null;
+      if (isFirstWord) firstWord = upper;
+
+      // A leading BEGIN is a transaction, not a block
+      if ((upper === "BEGIN" && !isFirstWord) || upper === "CASE") {
+        depth++;
+      } else if (
+        upper === "END" &&
+        !_matchAt(NON_BLOCK_END, source, i + word.length)
+      ) {
+        depth = Math.max(0, depth - 1);
+        // `END CASE` closes the CASE itself, don't reopen it
+        const endCase = _matchAt(END_CASE, source, i + word.length);
+        if (endCase) {
+          advance(word + endCase);
+          continue;
+        }
+      }
+
+      advance(word);
+      continue;
+    }
+
+    if (ch === ";" && depth === 0) {
+      advance(ch);
+      finishStatement();
+      continue;
+    }
+
+    advance(ch);
+  }
+
+  finishStatement();
+  return statements;
+}
@@ -1,5 +1,5 @@
 import { pool } from "@anclatechs/sql-buns";
-import chalk from "chalk";
+import { SchemaValidationError } from "../errors.js";
 
 export async function rebuildTableForSqlite(
   table,
@@ -10,7 +10,8 @@ export async function rebuildTableForSqlite(
   _generateCreateTableSQL,
   sql = [],
   reverseSQL = [],
-  warnings = []
+  warnings = [],
+  oldMeta = newModel.meta
 ) {
   // Check for other tables reference this table via FOREIGN KEY
   const referencing = await pool.all(
@@ -21,13 +22,10 @@ export async function rebuildTableForSqlite(
 
   if (referencing.length > 0) {
     const deps = referencing.map((r) => r.tbl_name).join(", ");
-    console.error(
-      chalk.red(
-        `Cannot rebuild table "${table}" because it is referenced by other tables: [${deps}]. ` +
-          `You must drop or rebuild those tables first.`
-      )
+    throw new SchemaValidationError(
+      `Cannot rebuild table "${table}" because it is referenced by other tables: [${deps}]. ` +
+        `You must drop or rebuild those tables first.`
     );
-    process.exit();
   }
 
   // Check for other tables have triggers referencing this table
@@ -43,24 +41,29 @@ export async function rebuildTableForSqlite(
       .map((t) => `${t.name} (on ${t.tbl_name})`)
       .join(", ");
 
-    console.error(
-      chalk.red(
-        `Cannot rebuild table "${table}" because it is referenced in trigger(s): [${triggerInfo}]. ` +
-          `Drop or update those triggers first.`
-      )
+    throw new SchemaValidationError(
+      `Cannot rebuild table "${table}" because it is referenced in trigger(s): [${triggerInfo}]. ` +
+        `Drop or update those triggers first.`
     );
-    process.exit();
   }
 
-  // 1. Generate CREATE + REVERSE statements
-  const [createSQL, reverseCreateSQL] = (await _generateCreateTableSQL(
+  // 1. Generate CREATE statements for the new and the previous definition
+  const [createSQL] = (await _generateCreateTableSQL(
     table,
     newModel,
     [],
     [],
     [],
     true // leanSQLBuild
-  )) || ["", ""];
+  )) || [""];
+  const [reverseCreateSQL] = (await _generateCreateTableSQL(
+    table,
+    { ...newModel, fields: oldFields, meta: oldMeta },
+    [],
+    [],
+    [],
+    true
+  )) || [""];
 
   // 2. Adjust CREATE TABLE to use <table>_new
   const createTableRegex = new RegExp(
@@ -81,7 +84,10 @@ export async function rebuildTableForSqlite(
 
   // 4. Drop dependent triggers & indexes
   for (const t of triggers) sql.push(`DROP TRIGGER IF EXISTS "${t.name}";`);
-  for (const i of indexes) sql.push(`DROP INDEX IF EXISTS "${i.name}";`);
+  // Indexes without SQL back a UNIQUE/PK constraint and go with the table
+  for (const i of indexes) {
+    if (i.sql) sql.push(`DROP INDEX IF EXISTS "${i.name}";`);
+  }
 
   // 5. Build column mapping for data migration
   const renameMap = Object.fromEntries(renames.map((r) => [r.old, r.new]));
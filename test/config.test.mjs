@@ -0,0 +1,200 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { after, afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  loadConfigFile,
+  resolveConfig,
+  withConfig,
+} from "../src/utils/config.js";
+import { ConfigError } from "../src/utils/errors.js";
+
+const binPath = new URL("../bin/buns-migrate.js", import.meta.url).pathname;
+
+function writeFile(root, file, contents) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), contents);
+}
+
+// Config files are imported, so each one needs a path of its own
+const writeConfig = (root, config, file = "buns-migrate.config.js") =>
+  writeFile(root, file, `module.exports = ${JSON.stringify(config)};\n`);
+
+const writePackage = (root, sqlBuns) =>
+  writeFile(root, "package.json", JSON.stringify({ name: "app", sqlBuns }));
+
+const resolveIn = (root, options = {}) =>
+  withConfig({ cwd: root, ...options }, () => resolveConfig());
+
+describe("config resolution", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "buns-migrate-"));
+  });
+
+  afterEach(async () => {
+    fs.rmSync(root, { recursive: true, force: true });
+    // With no file left to load, this forgets the one the case loaded
+    await loadConfigFile({ cwd: root });
+  });
+
+  it("falls back to the defaults under the project root", async () => {
+    await loadConfigFile({ cwd: root });
+    const config = await resolveIn(root);
+    assert.equal(config.root, root);
+    assert.equal(
+      config.migrationsDir,
+      path.join(root, "database", "migrations")
+    );
+    assert.equal(
+      config.snapshotFile,
+      path.join(root, "database", "migrations", "schema_snapshot.json")
+    );
+    assert.equal(
+      config.modelsPath,
+      path.join(root, "database", "models", "index.js")
+    );
+    assert.equal(config.historyTable, undefined);
+  });
+
+  it("reads package.json sqlBuns relative to the root", async () => {
+    writePackage(root, {
+      migrationsDir: "db/migrations",
+      snapshotFile: "db/snapshot.json",
+      historyTable: "pkg_migrations",
+    });
+    await loadConfigFile({ cwd: root });
+    const config = await resolveIn(root);
+    assert.equal(config.migrationsDir, path.join(root, "db", "migrations"));
+    assert.equal(config.snapshotFile, path.join(root, "db", "snapshot.json"));
+    assert.equal(config.historyTable, "pkg_migrations");
+  });
+
+  it("keeps the snapshot next to an overridden migrations dir", async () => {
+    writePackage(root, { migrationsDir: "db/migrations" });
+    await loadConfigFile({ cwd: root });
+    const config = await resolveIn(root);
+    assert.equal(
+      config.snapshotFile,
+      path.join(root, "db", "migrations", "schema_snapshot.json")
+    );
+  });
+
+  it("lets buns-migrate.config.js win over package.json, key by key", async () => {
+    writePackage(root, {
+      migrationsDir: "db/pkg",
+      historyTable: "pkg_migrations",
+    });
+    writeConfig(root, { migrationsDir: "db/file", snapshotFile: "snap.json" });
+    await loadConfigFile({ cwd: root });
+    const config = await resolveIn(root);
+    assert.equal(config.migrationsDir, path.join(root, "db", "file"));
+    assert.equal(config.snapshotFile, path.join(root, "snap.json"));
+    assert.equal(config.historyTable, "pkg_migrations");
+  });
+
+  it("lets Migrator options win over both", async () => {
+    writePackage(root, { migrationsDir: "db/pkg", historyTable: "pkg" });
+    writeConfig(root, { migrationsDir: "db/file", snapshotFile: "snap.json" });
+    await loadConfigFile({ cwd: root });
+    const config = await resolveIn(root, {
+      migrationsDir: "db/options",
+      snapshotFile: undefined,
+      historyTable: "options_migrations",
+    });
+    assert.equal(config.migrationsDir, path.join(root, "db", "options"));
+    // undefined options don't hide the other sources
+    assert.equal(config.snapshotFile, path.join(root, "snap.json"));
+    assert.equal(config.historyTable, "options_migrations");
+  });
+
+  it("loads --config relative to the root and requires it to exist", async () => {
+    writeConfig(root, { migrationsDir: "db/other" }, "config/other.js");
+    await assert.rejects(
+      loadConfigFile({ cwd: root, configFile: "config/missing.js" }),
+      ConfigError
+    );
+    await loadConfigFile({ cwd: root, configFile: "config/other.js" });
+    const config = await resolveIn(root);
+    assert.equal(config.migrationsDir, path.join(root, "db", "other"));
+  });
+
+  it("rejects a config file without an object export", async () => {
+    writeFile(root, "buns-migrate.config.js", "module.exports = 42;\n");
+    await assert.rejects(loadConfigFile({ cwd: root }), ConfigError);
+  });
+});
+
+describe("buns-migrate --cwd and --config", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "buns-migrate-"));
+  writeFile(root, "db/file/1700000000000_file.sql", "SELECT 1;\n");
+  writeFile(root, "db/other/1700000000000_other.sql", "SELECT 1;\n");
+  writeConfig(root, {
+    migrationsDir: "db/file",
+    historyTable: "bt_migrations",
+  });
+  writeConfig(
+    root,
+    { migrationsDir: "db/other", historyTable: "bt_migrations" },
+    "config/other.js"
+  );
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  // Runs from the temp dir's parent, so only --cwd can find the project
+  function run(...args) {
+    const env = { ...process.env, DATABASE_ENGINE: "sqlite" };
+    delete env.BUNS_MIGRATE_LOCK_TIMEOUT;
+    return spawnSync(process.execPath, [binPath, ...args], {
+      cwd: os.tmpdir(),
+      env,
+      encoding: "utf-8",
+      timeout: 60000,
+    });
+  }
+
+  const pendingNames = (child) =>
+    JSON.parse(child.stdout).migrations.map((m) => m.name);
+
+  it("reads the config file from --cwd", () => {
+    const child = run("--cwd", root, "status", "--json");
+    assert.equal(child.status, 0, child.stderr);
+    assert.deepEqual(pendingNames(child), ["1700000000000_file.sql"]);
+  });
+
+  it("loads --config relative to --cwd instead", () => {
+    const child = run(
+      "--cwd",
+      root,
+      "--config",
+      "config/other.js",
+      "status",
+      "--json"
+    );
+    assert.equal(child.status, 0, child.stderr);
+    assert.deepEqual(pendingNames(child), ["1700000000000_other.sql"]);
+  });
+
+  it("fails on a missing --config file", () => {
+    const child = run("--cwd", root, "--config", "nope.js", "status");
+    assert.equal(child.status, 1);
+    assert.match(child.stdout + child.stderr, /Config file not found/);
+  });
+
+  it("loads .env from --cwd", () => {
+    writeFile(root, ".env", "BUNS_MIGRATE_LOCK_TIMEOUT=soon\n");
+    try {
+      const child = run("--cwd", root, "up");
+      assert.equal(child.status, 1);
+      assert.match(
+        child.stdout + child.stderr,
+        /BUNS_MIGRATE_LOCK_TIMEOUT must be a number of seconds/
+      );
+    } finally {
+      fs.rmSync(path.join(root, ".env"));
+    }
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "mysql";
+const { defineModel, Fields } = await import("../src/dist/index.js");
+const { diffSchemas } = await import("../src/utils/schemaDiffConstructor.js");
+const { diff, schemaOf } = await import("./helpers.mjs");
+
+const id = { type: Fields.IntegerField, primaryKey: true };
+
+describe("UNIQUE constraints", () => {
+  const posts = (fields) => ({
+    posts: defineModel(
+      "posts",
+      { id, slug: { type: Fields.CharField, maxLength: 50 }, ...fields },
+      { meta: { tableName: "posts" } }
+    ),
+  });
+
+  it("drops them as indexes", async () => {
+    const { sql, reverseSQL } = await diff(
+      posts({ slug: { type: Fields.CharField, maxLength: 50, unique: true } }),
+      posts({})
+    );
+    assert.deepEqual(sql, ["ALTER TABLE posts DROP INDEX uq_posts_slug;"]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE posts ADD CONSTRAINT uq_posts_slug UNIQUE (slug);",
+    ]);
+  });
+
+  it("renames the column-named index of older snapshots", async () => {
+    const old = schemaOf(posts({}));
+    old.posts.fields.slug.unique = true;
+
+    const { sql, reverseSQL } = await diffSchemas(
+      old,
+      schemaOf(
+        posts({
+          slug: { type: Fields.CharField, maxLength: 50, unique: "uq_slug" },
+        })
+      ),
+      { interactive: false }
+    );
+    assert.deepEqual(sql, ["ALTER TABLE posts RENAME INDEX slug TO uq_slug;"]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE posts RENAME INDEX uq_slug TO slug;",
+    ]);
+  });
+});
+
+describe("foreign keys", () => {
+  const users = defineModel("users", { id }, { meta: { tableName: "users" } });
+
+  it("drops a renamed table's constraint under its original name", async () => {
+    const { sql } = await diff(
+      {
+        users,
+        posts: defineModel(
+          "posts",
+          {
+            id,
+            author_id: {
+              type: Fields.IntegerField,
+              references: { model: "users" },
+            },
+          },
+          { meta: { tableName: "posts" } }
+        ),
+      },
+      {
+        users,
+        posts: defineModel(
+          "articles",
+          { id },
+          { meta: { tableName: "articles", renamedFrom: "posts" } }
+        ),
+      }
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE posts RENAME TO articles;",
+      "ALTER TABLE articles DROP FOREIGN KEY fk_posts_author_id;",
+      "ALTER TABLE articles DROP COLUMN author_id;",
+    ]);
+  });
+});
+
+describe("CHECK constraints", () => {
+  const events = (seats = {}) => ({
+    events: defineModel(
+      "events",
+      { id, seats: { type: Fields.IntegerField, ...seats } },
+      { meta: { tableName: "events" } }
+    ),
+  });
+
+  it("drops them with DROP CHECK", async () => {
+    const { sql, reverseSQL } = await diff(
+      events({ check: "seats >= 0" }),
+      events({ check: "seats > 0" })
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE events DROP CHECK chk_events_seats;",
+      "ALTER TABLE events ADD CONSTRAINT chk_events_seats CHECK (seats > 0);",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE events DROP CHECK chk_events_seats;",
+      "ALTER TABLE events ADD CONSTRAINT chk_events_seats CHECK (seats >= 0);",
+    ]);
+  });
+});
+
+describe("relation changes", () => {
+  const posts = defineModel(
+    "posts",
+    { id, author_id: { type: Fields.IntegerField } },
+    { meta: { tableName: "posts" } }
+  );
+  const tags = defineModel("tags", { id }, { meta: { tableName: "tags" } });
+  const models = (relations = {}) => ({
+    users: defineModel(
+      "users",
+      { id },
+      { meta: { tableName: "users" }, relations }
+    ),
+    posts,
+    tags,
+  });
+  const tagged = (options = {}) => ({
+    tags: {
+      type: "manyToMany",
+      model: "tags",
+      foreignKey: "user_id",
+      otherKey: "tag_id",
+      ...options,
+    },
+  });
+  // Every table of the old models already exists
+  const diffExisting = (before, after) =>
+    diff(before, after, { existenceSnapshot: schemaOf(before) });
+
+  it("drops the foreign key before its index, and restores both", async () => {
+    const authored = {
+      posts: { type: "hasMany", model: "posts", foreignKey: "author_id" },
+    };
+    const { sql, reverseSQL } = await diffExisting(models(authored), models());
+    assert.deepEqual(sql, [
+      "ALTER TABLE posts DROP FOREIGN KEY fk_posts_author_id;",
+      "DROP INDEX idx_posts_author_id ON posts;",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE posts ADD CONSTRAINT fk_posts_author_id FOREIGN KEY (author_id) REFERENCES users(id);",
+      "CREATE INDEX IF NOT EXISTS idx_posts_author_id ON posts (author_id);",
+    ]);
+
+    const added = await diffExisting(models(), models(authored));
+    assert.deepEqual(added.sql, reverseSQL);
+    assert.deepEqual(added.reverseSQL, sql);
+  });
+
+  it("drops a join table and recreates it on the way down", async () => {
+    const { sql, reverseSQL } = await diffExisting(models(tagged()), models());
+    assert.deepEqual(sql, ["DROP TABLE IF EXISTS users_tags_link;"]);
+    assert.equal(reverseSQL.length, 1);
+    assert.match(
+      reverseSQL[0],
+      /CONSTRAINT fk_users_tags_link_user_id FOREIGN KEY \(user_id\) REFERENCES users\(id\)/
+    );
+  });
+
+  it("re-adds a renamed join table's constraints under the new name", async () => {
+    const { sql, reverseSQL } = await diffExisting(
+      models(tagged()),
+      models(tagged({ through: "user_tags" }))
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE users_tags_link RENAME TO user_tags;",
+      "ALTER TABLE user_tags DROP FOREIGN KEY fk_users_tags_link_user_id;",
+      "ALTER TABLE user_tags ADD CONSTRAINT fk_user_tags_user_id FOREIGN KEY (user_id) REFERENCES users(id);",
+      "ALTER TABLE user_tags DROP FOREIGN KEY fk_users_tags_link_tag_id;",
+      "ALTER TABLE user_tags ADD CONSTRAINT fk_user_tags_tag_id FOREIGN KEY (tag_id) REFERENCES tags(id);",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE user_tags DROP FOREIGN KEY fk_user_tags_user_id;",
+      "ALTER TABLE user_tags ADD CONSTRAINT fk_users_tags_link_user_id FOREIGN KEY (user_id) REFERENCES users(id);",
+      "ALTER TABLE user_tags DROP FOREIGN KEY fk_user_tags_tag_id;",
+      "ALTER TABLE user_tags ADD CONSTRAINT fk_users_tags_link_tag_id FOREIGN KEY (tag_id) REFERENCES tags(id);",
+      "ALTER TABLE user_tags RENAME TO users_tags_link;",
+    ]);
+  });
+});
+
+describe("join tables", () => {
+  const models = (options = {}) => ({
+    users: defineModel(
+      "users",
+      { id: { type: Fields.UUIDField, primaryKey: true } },
+      {
+        meta: { tableName: "users" },
+        relations: {
+          groups: {
+            type: "manyToMany",
+            model: "groups",
+            foreignKey: "user_id",
+            otherKey: "group_id",
+            ...options,
+          },
+        },
+      }
+    ),
+    groups: defineModel(
+      "groups",
+      { id: { type: "BIGINT", primaryKey: true } },
+      { meta: { tableName: "groups" } }
+    ),
+  });
+
+  it("creates the keys, a through model's fields and both rules", async () => {
+    const memberships = defineModel(
+      "memberships",
+      { role: { type: Fields.CharField, maxLength: 20, default: "member" } },
+      { meta: { tableName: "memberships" } }
+    );
+    const { sql, reverseSQL } = await diff(
+      {},
+      models({ through: memberships, onDelete: "CASCADE", onUpdate: "CASCADE" })
+    );
+    const statement = sql.find((s) => s.includes("memberships"));
+    assert.match(statement, /"user_id" UUID NOT NULL/);
+    assert.match(statement, /"group_id" BIGINT NOT NULL/);
+    assert.match(statement, /"role" VARCHAR\(20\) NOT NULL DEFAULT 'member'/);
+    assert.match(
+      statement,
+      /CONSTRAINT fk_memberships_group_id FOREIGN KEY \(group_id\) REFERENCES groups\(id\) ON DELETE CASCADE ON UPDATE CASCADE/
+    );
+    // Dropped before the tables it links
+    assert.equal(reverseSQL[0], "DROP TABLE IF EXISTS memberships;");
+  });
+
+  it("swaps both foreign keys when the rules change", async () => {
+    const before = models({ onUpdate: "CASCADE" });
+    const { sql } = await diff(before, models({ onUpdate: "RESTRICT" }), {
+      existenceSnapshot: schemaOf(before),
+    });
+    assert.deepEqual(sql, [
+      "ALTER TABLE users_groups_link DROP FOREIGN KEY fk_users_groups_link_group_id;",
+      "ALTER TABLE users_groups_link DROP FOREIGN KEY fk_users_groups_link_user_id;",
+      "ALTER TABLE users_groups_link ADD CONSTRAINT fk_users_groups_link_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON UPDATE RESTRICT;",
+      "ALTER TABLE users_groups_link ADD CONSTRAINT fk_users_groups_link_group_id FOREIGN KEY (group_id) REFERENCES groups(id) ON UPDATE RESTRICT;",
+    ]);
+  });
+});
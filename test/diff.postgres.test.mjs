@@ -0,0 +1,476 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "postgres";
+const { defineModel, Fields } = await import("../src/dist/index.js");
+const { diffSchemas } = await import("../src/utils/schemaDiffConstructor.js");
+const { diff, schemaOf } = await import("./helpers.mjs");
+
+const id = { type: Fields.IntegerField, primaryKey: true };
+
+describe("table rename", () => {
+  it("undoes column changes before renaming the table back", async () => {
+    const before = {
+      posts: defineModel(
+        "posts",
+        { id, title: { type: Fields.CharField, maxLength: 100 } },
+        { meta: { tableName: "posts" } }
+      ),
+    };
+    const after = {
+      posts: defineModel(
+        "articles",
+        {
+          id,
+          title: { type: Fields.CharField, maxLength: 100 },
+          extra: { type: Fields.IntegerField, nullable: true },
+        },
+        { meta: { tableName: "articles", renamedFrom: "posts" } }
+      ),
+    };
+
+    const { sql, reverseSQL } = await diff(before, after);
+    assert.deepEqual(sql, [
+      "ALTER TABLE posts RENAME TO articles;",
+      "ALTER TABLE articles ADD COLUMN extra INTEGER;",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE articles DROP COLUMN extra;",
+      "ALTER TABLE articles RENAME TO posts;",
+    ]);
+  });
+});
+
+describe("UNIQUE constraints", () => {
+  const posts = (fields, meta = {}) => ({
+    posts: defineModel(
+      "posts",
+      {
+        id,
+        slug: { type: Fields.CharField, maxLength: 50 },
+        author_id: { type: Fields.IntegerField },
+        ...fields,
+      },
+      { meta: { tableName: "posts", ...meta } }
+    ),
+  });
+
+  it("creates named constraints", async () => {
+    const { sql } = await diff(
+      {},
+      posts(
+        { slug: { type: Fields.CharField, maxLength: 50, unique: true } },
+        { uniqueTogether: [["author_id", "slug"]] }
+      )
+    );
+    assert.match(sql[0], /CONSTRAINT uq_posts_slug UNIQUE \(slug\)/);
+    assert.match(
+      sql[0],
+      /CONSTRAINT uq_posts_author_id_slug UNIQUE \(author_id, slug\)/
+    );
+  });
+
+  it("adds and drops them with their reverse", async () => {
+    const { sql, reverseSQL } = await diff(
+      posts({ slug: { type: Fields.CharField, maxLength: 50, unique: true } }),
+      posts({}, { uniqueTogether: [{ fields: ["author_id", "slug"] }] })
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE posts DROP CONSTRAINT uq_posts_slug;",
+      "ALTER TABLE posts ADD CONSTRAINT uq_posts_author_id_slug UNIQUE (author_id, slug);",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE posts DROP CONSTRAINT uq_posts_author_id_slug;",
+      "ALTER TABLE posts ADD CONSTRAINT uq_posts_slug UNIQUE (slug);",
+    ]);
+  });
+
+  it("renames unnamed constraints from older snapshots", async () => {
+    const old = schemaOf(posts({}));
+    // Older versions stored `unique: true` and created an inline UNIQUE
+    old.posts.fields.slug.unique = true;
+    old.posts.fields.author_id.unique = true;
+
+    const { sql, reverseSQL } = await diffSchemas(
+      old,
+      schemaOf(
+        posts({ slug: { type: Fields.CharField, maxLength: 50, unique: true } })
+      ),
+      { interactive: false }
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE posts RENAME CONSTRAINT posts_slug_key TO uq_posts_slug;",
+      "ALTER TABLE posts DROP CONSTRAINT posts_author_id_key;",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE posts RENAME CONSTRAINT uq_posts_slug TO posts_slug_key;",
+      "ALTER TABLE posts ADD CONSTRAINT posts_author_id_key UNIQUE (author_id);",
+    ]);
+  });
+});
+
+describe("foreign keys", () => {
+  const users = defineModel("users", { id }, { meta: { tableName: "users" } });
+  const posts = (name, ref, meta = {}) => ({
+    users,
+    posts: defineModel(
+      name,
+      {
+        id,
+        author_id: {
+          type: Fields.IntegerField,
+          nullable: true,
+          references: ref,
+        },
+      },
+      { meta: { tableName: name, ...meta } }
+    ),
+  });
+
+  it("creates the constraint with its referential actions", async () => {
+    const { sql } = await diff({}, posts("posts", { model: "users" }));
+    assert.match(
+      sql.join("\n"),
+      /CONSTRAINT fk_posts_author_id FOREIGN KEY \(author_id\) REFERENCES users\(id\)/
+    );
+  });
+
+  it("swaps the constraint when its actions change", async () => {
+    const { sql, reverseSQL } = await diff(
+      posts("posts", { model: "users", onDelete: "SET NULL" }),
+      posts("posts", { model: "users", onDelete: "CASCADE" })
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE posts DROP CONSTRAINT fk_posts_author_id;",
+      "ALTER TABLE posts ADD CONSTRAINT fk_posts_author_id FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE;",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE posts DROP CONSTRAINT fk_posts_author_id;",
+      "ALTER TABLE posts ADD CONSTRAINT fk_posts_author_id FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL;",
+    ]);
+  });
+
+  it("renames the derived constraint with its table", async () => {
+    const { sql, reverseSQL } = await diff(
+      posts("posts", { model: "users" }),
+      posts("articles", { model: "users" }, { renamedFrom: "posts" })
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE posts DROP CONSTRAINT fk_posts_author_id;",
+      "ALTER TABLE posts RENAME TO articles;",
+      "ALTER TABLE articles ADD CONSTRAINT fk_articles_author_id FOREIGN KEY (author_id) REFERENCES users(id);",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE articles DROP CONSTRAINT fk_articles_author_id;",
+      "ALTER TABLE articles ADD CONSTRAINT fk_posts_author_id FOREIGN KEY (author_id) REFERENCES users(id);",
+      "ALTER TABLE articles RENAME TO posts;",
+    ]);
+  });
+
+  it("drops a column's constraint by the name it was created with", async () => {
+    const { reverseSQL } = await diff(posts("posts", { model: "users" }), {
+      users,
+      posts: defineModel(
+        "articles",
+        { id },
+        { meta: { tableName: "articles", renamedFrom: "posts" } }
+      ),
+    });
+    assert.ok(
+      reverseSQL.includes(
+        "ALTER TABLE articles ADD CONSTRAINT fk_posts_author_id FOREIGN KEY (author_id) REFERENCES users(id);"
+      )
+    );
+  });
+});
+
+describe("CHECK constraints", () => {
+  const events = (seats = {}, checks = []) => ({
+    events: defineModel(
+      "events",
+      {
+        id,
+        seats: { type: Fields.IntegerField, ...seats },
+        total: { type: Fields.IntegerField },
+      },
+      { meta: { tableName: "events", checks } }
+    ),
+  });
+  const totalCheck = { name: "chk_events_total", expression: "total >= seats" };
+
+  it("creates field and table checks", async () => {
+    const { sql } = await diff(
+      {},
+      events({ check: "seats >= 0" }, [totalCheck])
+    );
+    assert.match(sql[0], /CONSTRAINT chk_events_seats CHECK \(seats >= 0\)/);
+    assert.match(
+      sql[0],
+      /CONSTRAINT chk_events_total CHECK \(total >= seats\)/
+    );
+  });
+
+  it("swaps a changed check and restores the old one on the way down", async () => {
+    const { sql, reverseSQL } = await diff(
+      events({ check: "seats >= 0" }),
+      events({ check: "seats > 0" })
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE events DROP CONSTRAINT chk_events_seats;",
+      "ALTER TABLE events ADD CONSTRAINT chk_events_seats CHECK (seats > 0);",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE events DROP CONSTRAINT chk_events_seats;",
+      "ALTER TABLE events ADD CONSTRAINT chk_events_seats CHECK (seats >= 0);",
+    ]);
+  });
+
+  it("re-adds a dropped table check on the way down", async () => {
+    const { sql, reverseSQL } = await diff(events({}, [totalCheck]), events());
+    assert.deepEqual(sql, [
+      "ALTER TABLE events DROP CONSTRAINT chk_events_total;",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE events ADD CONSTRAINT chk_events_total CHECK (total >= seats);",
+    ]);
+  });
+});
+
+describe("column renames", () => {
+  const users = (fields) => ({
+    users: defineModel(
+      "users",
+      { id, ...fields },
+      { meta: { tableName: "users" } }
+    ),
+  });
+  const phone = { phone: { type: Fields.CharField, maxLength: 20 } };
+  const mobile = (options = {}) => ({
+    mobile: { type: Fields.CharField, maxLength: 20, ...options },
+  });
+  const renamed = {
+    sql: ["ALTER TABLE users RENAME COLUMN phone TO mobile;"],
+    reverseSQL: ["ALTER TABLE users RENAME COLUMN mobile TO phone;"],
+    warnings: [],
+  };
+
+  it("renames a field declared with renamedFrom", async () => {
+    assert.deepEqual(
+      await diff(users(phone), users(mobile({ renamedFrom: "phone" }))),
+      renamed
+    );
+  });
+
+  it("renames a field answered through renames", async () => {
+    assert.deepEqual(
+      await diff(users(phone), users(mobile()), {
+        renames: [{ table: "users", old: "phone", new: "mobile" }],
+      }),
+      renamed
+    );
+  });
+
+  it("asks instead of guessing when nothing answers", async () => {
+    await assert.rejects(
+      diff(users(phone), users(mobile()), { assumeYes: false }),
+      { code: "PROMPT_REQUIRED" }
+    );
+  });
+});
+
+describe("relation changes", () => {
+  const posts = defineModel(
+    "posts",
+    { id, author_id: { type: Fields.IntegerField } },
+    { meta: { tableName: "posts" } }
+  );
+  const tags = defineModel("tags", { id }, { meta: { tableName: "tags" } });
+  const models = (relations = {}) => ({
+    users: defineModel(
+      "users",
+      { id },
+      { meta: { tableName: "users" }, relations }
+    ),
+    posts,
+    tags,
+  });
+  const authored = {
+    posts: { type: "hasMany", model: "posts", foreignKey: "author_id" },
+  };
+  const tagged = (options = {}) => ({
+    tags: {
+      type: "manyToMany",
+      model: "tags",
+      foreignKey: "user_id",
+      otherKey: "tag_id",
+      ...options,
+    },
+  });
+  // Every table of the old models already exists
+  const diffExisting = (before, after) =>
+    diff(before, after, { existenceSnapshot: schemaOf(before) });
+
+  it("drops a hasMany's foreign key and index, and restores them", async () => {
+    const { sql, reverseSQL } = await diffExisting(models(authored), models());
+    assert.deepEqual(sql, [
+      "DROP INDEX IF EXISTS idx_posts_author_id;",
+      "ALTER TABLE posts DROP CONSTRAINT fk_posts_author_id;",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE posts ADD CONSTRAINT fk_posts_author_id FOREIGN KEY (author_id) REFERENCES users(id);",
+      "CREATE INDEX IF NOT EXISTS idx_posts_author_id ON posts (author_id);",
+    ]);
+
+    const added = await diffExisting(models(), models(authored));
+    assert.deepEqual(added.sql, reverseSQL);
+    assert.deepEqual(added.reverseSQL, sql);
+  });
+
+  it("drops a join table with a warning and recreates it on the way down", async () => {
+    const { sql, reverseSQL, warnings } = await diffExisting(
+      models(tagged()),
+      models()
+    );
+    assert.deepEqual(sql, ["DROP TABLE IF EXISTS users_tags_link;"]);
+    assert.equal(reverseSQL.length, 1);
+    assert.match(
+      reverseSQL[0],
+      /^CREATE TABLE IF NOT EXISTS "users_tags_link"/
+    );
+    assert.match(
+      reverseSQL[0],
+      /CONSTRAINT fk_users_tags_link_tag_id FOREIGN KEY \(tag_id\) REFERENCES tags\(id\)/
+    );
+    assert.match(warnings.join("\n"), /Join table "users_tags_link"/);
+
+    const added = await diffExisting(models(), models(tagged()));
+    assert.deepEqual(added.sql, reverseSQL);
+    assert.deepEqual(added.reverseSQL, sql);
+  });
+
+  it("renames a join table together with its derived constraints", async () => {
+    const { sql, reverseSQL } = await diffExisting(
+      models(tagged()),
+      models(tagged({ through: "user_tags" }))
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE users_tags_link RENAME TO user_tags;",
+      "ALTER TABLE user_tags RENAME CONSTRAINT fk_users_tags_link_user_id TO fk_user_tags_user_id;",
+      "ALTER TABLE user_tags RENAME CONSTRAINT fk_users_tags_link_tag_id TO fk_user_tags_tag_id;",
+    ]);
+    assert.deepEqual(reverseSQL, [
+      "ALTER TABLE user_tags RENAME CONSTRAINT fk_user_tags_user_id TO fk_users_tags_link_user_id;",
+      "ALTER TABLE user_tags RENAME CONSTRAINT fk_user_tags_tag_id TO fk_users_tags_link_tag_id;",
+      "ALTER TABLE user_tags RENAME TO users_tags_link;",
+    ]);
+
+    // A later change finds the constraints under their new names
+    const later = await diffExisting(
+      models(tagged({ through: "user_tags" })),
+      models(tagged({ through: "user_tags", onDelete: "CASCADE" }))
+    );
+    assert.ok(
+      later.sql.includes(
+        "ALTER TABLE user_tags DROP CONSTRAINT fk_user_tags_user_id;"
+      )
+    );
+  });
+});
+
+describe("join tables", () => {
+  const groups = defineModel(
+    "groups",
+    { id: { type: "BIGINT", primaryKey: true } },
+    { meta: { tableName: "groups" } }
+  );
+  const memberships = (fields = {}) =>
+    defineModel(
+      "memberships",
+      {
+        role: { type: Fields.CharField, maxLength: 20, default: "member" },
+        ...fields,
+      },
+      { meta: { tableName: "memberships" } }
+    );
+  const models = (options = {}) => ({
+    users: defineModel(
+      "users",
+      { id: { type: Fields.UUIDField, primaryKey: true } },
+      {
+        meta: { tableName: "users" },
+        relations: {
+          groups: {
+            type: "manyToMany",
+            model: "groups",
+            foreignKey: "user_id",
+            otherKey: "group_id",
+            ...options,
+          },
+        },
+      }
+    ),
+    groups,
+  });
+  const createJoinTable = async (options) => {
+    const { sql } = await diff({}, models(options));
+    return sql.find((statement) => statement.includes(`"user_id"`));
+  };
+
+  it("types each key after the primary key it references", async () => {
+    const statement = await createJoinTable();
+    assert.match(statement, /^CREATE TABLE IF NOT EXISTS "users_groups_link"/);
+    assert.match(statement, /"user_id" UUID NOT NULL/);
+    assert.match(statement, /"group_id" BIGINT NOT NULL/);
+    assert.match(statement, /PRIMARY KEY \("user_id", "group_id"\)/);
+  });
+
+  it("adds a through model's fields next to the keys", async () => {
+    const statement = await createJoinTable({ through: memberships() });
+    assert.match(statement, /^CREATE TABLE IF NOT EXISTS "memberships"/);
+    assert.match(statement, /"role" VARCHAR\(20\) NOT NULL DEFAULT 'member'/);
+    assert.match(statement, /PRIMARY KEY \("user_id", "group_id"\)/);
+  });
+
+  it("keeps a through model's own primary key", async () => {
+    const statement = await createJoinTable({
+      through: memberships({
+        id: { type: Fields.IntegerField, primaryKey: true },
+      }),
+    });
+    assert.match(statement, /PRIMARY KEY \("id"\)/);
+    assert.doesNotMatch(statement, /PRIMARY KEY \("user_id"/);
+  });
+
+  it("puts the relation's rules on both foreign keys", async () => {
+    const statement = await createJoinTable({
+      onDelete: "cascade",
+      onUpdate: "restrict",
+    });
+    assert.match(
+      statement,
+      /CONSTRAINT fk_users_groups_link_user_id FOREIGN KEY \(user_id\) REFERENCES users\(id\) ON DELETE CASCADE ON UPDATE RESTRICT/
+    );
+    assert.match(
+      statement,
+      /CONSTRAINT fk_users_groups_link_group_id FOREIGN KEY \(group_id\) REFERENCES groups\(id\) ON DELETE CASCADE ON UPDATE RESTRICT/
+    );
+  });
+
+  it("alters the join table when the rules change", async () => {
+    const before = models({ onDelete: "CASCADE" });
+    const { sql, reverseSQL } = await diff(
+      before,
+      models({ onDelete: "SET NULL" }),
+      { existenceSnapshot: schemaOf(before) }
+    );
+    assert.deepEqual(sql, [
+      "ALTER TABLE users_groups_link DROP CONSTRAINT fk_users_groups_link_group_id;",
+      "ALTER TABLE users_groups_link DROP CONSTRAINT fk_users_groups_link_user_id;",
+      "ALTER TABLE users_groups_link ADD CONSTRAINT fk_users_groups_link_user_id FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;",
+      "ALTER TABLE users_groups_link ADD CONSTRAINT fk_users_groups_link_group_id FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE SET NULL;",
+    ]);
+    assert.equal(reverseSQL.length, 4);
+    assert.match(reverseSQL.join("\n"), /ON DELETE CASCADE/);
+  });
+});
@@ -0,0 +1,61 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { extractSchemas } from "../src/utils/extractSchema.js";
+import { diffSchemas } from "../src/utils/schemaDiffConstructor.js";
+
+/**
+ * Shared pieces for the test files. Each file sets DATABASE_ENGINE before
+ * importing this (the diff engine reads it once), and SQLite tests run on
+ * the database @anclatechs/sql-buns is configured with. They only touch
+ * tables prefixed `bt_` and the `bt_migrations` history table.
+ */
+
+export const HISTORY_TABLE = "bt_migrations";
+
+// Snapshots are stored as JSON, so the diff always sees plain objects
+export function schemaOf(models) {
+  return JSON.parse(JSON.stringify(extractSchemas(models)));
+}
+
+/**
+ * Diff two sets of models the way `create` does, without prompting
+ */
+export function diff(oldModels, newModels, options = {}) {
+  return diffSchemas(schemaOf(oldModels), schemaOf(newModels), {
+    interactive: false,
+    assumeYes: true,
+    ...options,
+  });
+}
+
+/**
+ * Scratch project for Migrator tests: `database/models/index.js` plus an
+ * (empty) migrations directory
+ */
+export function createProject(models) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "buns-migrate-"));
+  fs.mkdirSync(path.join(cwd, "database", "migrations"), { recursive: true });
+  writeModels(cwd, models);
+  return cwd;
+}
+
+/**
+ * The models file holds the models' JSON, which extractSchemas accepts as
+ * is, so it needs no imports of its own
+ */
+export function writeModels(cwd, models) {
+  const schemas = Object.fromEntries(
+    Object.entries(models).map(([key, model]) => [key, model.toJSON()])
+  );
+  const modelsDir = path.join(cwd, "database", "models");
+  fs.mkdirSync(modelsDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(modelsDir, "index.js"),
+    `module.exports = ${JSON.stringify(schemas, null, 2)};\n`
+  );
+}
+
+export function removeProject(cwd) {
+  fs.rmSync(cwd, { recursive: true, force: true });
+}
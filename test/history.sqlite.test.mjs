@@ -0,0 +1,115 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "sqlite";
+const { pool } = await import("@anclatechs/sql-buns");
+const { withConfig } = await import("../src/utils/config.js");
+const { ensureHistoryTable, getHistorySchemaInfo, LATEST_SCHEMA_VERSION } =
+  await import("../src/utils/bootstrap.js");
+
+// Each case needs its own table, ensureHistoryTable() runs once per name
+const withHistory = (historyTable, fn) => withConfig({ historyTable }, fn);
+
+async function columnsOf(table) {
+  const rows = await pool.all(`PRAGMA table_info(${table});`);
+  return rows.map((row) => row.name);
+}
+
+// The history table as the first releases created it
+async function createV1Table(table, extraColumns = "") {
+  await pool.exec(`
+    CREATE TABLE ${table} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      checksum VARCHAR(64) NOT NULL,
+      previous_checksum VARCHAR(64),
+      direction VARCHAR(10) DEFAULT 'up' NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      rolled_back INTEGER DEFAULT 0,
+      rolled_back_at TIMESTAMP${extraColumns}
+    );
+  `);
+  await pool.run(`INSERT INTO ${table} (name, checksum) VALUES (?, ?);`, [
+    "1700000000000_first.sql",
+    "abc",
+  ]);
+}
+
+describe("history table upgrades", () => {
+  it("starts a fresh table at the latest version", () =>
+    withHistory("bt_history_fresh", async () => {
+      await ensureHistoryTable();
+      const { version, pendingUpgrades } = await getHistorySchemaInfo();
+      assert.equal(version, LATEST_SCHEMA_VERSION);
+      assert.deepEqual(pendingUpgrades, []);
+    }));
+
+  it("upgrades a table from before the meta table, keeping its rows", () =>
+    withHistory("bt_history_v1", async () => {
+      await createV1Table("bt_history_v1");
+
+      const before = await getHistorySchemaInfo();
+      assert.equal(before.version, 1);
+      assert.deepEqual(
+        before.pendingUpgrades.map((step) => step.version),
+        [2, 3, 4]
+      );
+
+      await ensureHistoryTable();
+      const columns = await columnsOf("bt_history_v1");
+      for (const column of ["file_checksum", "execution_ms", "applied_by"]) {
+        assert.ok(columns.includes(column), `${column} was added`);
+      }
+      assert.equal((await getHistorySchemaInfo()).version, 4);
+
+      const rows = await pool.all("SELECT name FROM bt_history_v1;");
+      assert.deepEqual(
+        rows.map((row) => row.name),
+        ["1700000000000_first.sql"]
+      );
+    }));
+
+  it("only runs the steps after the recorded version", () =>
+    withHistory("bt_history_v3", async () => {
+      await createV1Table(
+        "bt_history_v3",
+        ",\n      file_checksum VARCHAR(64),\n      execution_ms INTEGER"
+      );
+      await pool.exec(`
+        CREATE TABLE bt_history_v3_meta (
+          name VARCHAR(64) PRIMARY KEY,
+          value VARCHAR(255) NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO bt_history_v3_meta (name, value) VALUES ('schema_version', '3');
+      `);
+
+      const { pendingUpgrades } = await getHistorySchemaInfo();
+      assert.deepEqual(
+        pendingUpgrades.map((step) => step.version),
+        [4]
+      );
+
+      await ensureHistoryTable();
+      assert.ok((await columnsOf("bt_history_v3")).includes("applied_by"));
+      assert.equal((await getHistorySchemaInfo()).version, 4);
+    }));
+
+  it("skips a step whose column is already there", () =>
+    withHistory("bt_history_rerun", async () => {
+      // A crash after step 2 added its column but before the version was saved
+      await createV1Table(
+        "bt_history_rerun",
+        ",\n      file_checksum VARCHAR(64)"
+      );
+
+      await ensureHistoryTable();
+      const columns = await columnsOf("bt_history_rerun");
+      assert.equal(
+        columns.filter((column) => column === "file_checksum").length,
+        1
+      );
+      assert.equal((await getHistorySchemaInfo()).version, 4);
+    }));
+});
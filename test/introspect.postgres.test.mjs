@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "postgres";
+const { introspectChecks } = await import("../src/utils/introspect.js");
+
+// Stands in for a pg client: answers every query with `rows`
+const fakeClient = (rows) => ({ query: async () => ({ rows }) });
+
+describe("Postgres CHECK introspection", () => {
+  const fields = {
+    status: { type: "EnumField", choices: ["draft", "live"] },
+    seats: { type: "IntegerField" },
+  };
+
+  it("leaves an enum column's own choices check to the column type", async () => {
+    const checks = await introspectChecks(
+      fakeClient([
+        {
+          name: "events_status_check",
+          definition:
+            "CHECK (((status)::text = ANY ((ARRAY['draft'::character varying, 'live'::character varying])::text[])))",
+        },
+      ]),
+      "postgres",
+      "events",
+      fields
+    );
+    assert.deepEqual(checks, []);
+  });
+
+  it("keeps checks that only look generated", async () => {
+    const checks = await introspectChecks(
+      fakeClient([
+        { name: "events_seats_check", definition: "CHECK ((seats > 0))" },
+        {
+          name: "events_status_check",
+          definition: "CHECK ((seats IS NOT NULL))",
+        },
+        {
+          name: "events_window_check",
+          definition: "CHECK ((status IN ('draft')))",
+        },
+      ]),
+      "postgres",
+      "events",
+      fields
+    );
+    assert.deepEqual(
+      checks.map((check) => check.name),
+      ["events_seats_check", "events_status_check", "events_window_check"]
+    );
+    assert.equal(checks[0].expression, "(seats > 0)");
+  });
+});
@@ -0,0 +1,69 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "sqlite";
+const { pool } = await import("@anclatechs/sql-buns");
+const { introspectForeignKeys } = await import("../src/utils/introspect.js");
+
+describe("SQLite foreign key introspection", () => {
+  before(() =>
+    pool.exec(`
+      CREATE TABLE bt_i_authors (id INTEGER PRIMARY KEY);
+      CREATE TABLE bt_i_tags (id INTEGER PRIMARY KEY);
+      CREATE TABLE bt_i_books (
+        id INTEGER PRIMARY KEY,
+        author_id INTEGER,
+        editor_id INTEGER,
+        title TEXT,
+        CONSTRAINT fk_bt_i_books_author_id FOREIGN KEY (author_id) REFERENCES bt_i_authors(id) ON DELETE CASCADE,
+        CONSTRAINT books_editor FOREIGN KEY (editor_id) REFERENCES bt_i_authors(id)
+      );
+      CREATE TABLE bt_i_books_tags (
+        book_id INTEGER REFERENCES bt_i_books(id),
+        tag_id INTEGER REFERENCES bt_i_tags(id),
+        PRIMARY KEY (book_id, tag_id)
+      );
+    `)
+  );
+
+  after(() =>
+    pool.exec(`
+      DROP TABLE bt_i_books_tags;
+      DROP TABLE bt_i_books;
+      DROP TABLE bt_i_tags;
+      DROP TABLE bt_i_authors;
+    `)
+  );
+
+  it("puts a plain foreign key on its column, not in relations", async () => {
+    const { references, relations } = await introspectForeignKeys(
+      pool,
+      "sqlite",
+      "bt_i_books"
+    );
+    assert.equal(relations, undefined);
+    assert.deepEqual(JSON.parse(JSON.stringify(references)), {
+      author_id: { model: "bt_i_authors", column: "id", onDelete: "CASCADE" },
+      editor_id: { model: "bt_i_authors", column: "id", name: "books_editor" },
+    });
+  });
+
+  it("still reads a join table as a manyToMany relation", async () => {
+    const { references, relations } = await introspectForeignKeys(
+      pool,
+      "sqlite",
+      "bt_i_books_tags"
+    );
+    assert.equal(references, undefined);
+    assert.deepEqual(
+      Object.values(relations)
+        .map(({ type, model, through }) => [type, model, through])
+        .sort(),
+      [
+        ["manyToMany", "bt_i_books", "bt_i_books_tags"],
+        ["manyToMany", "bt_i_tags", "bt_i_books_tags"],
+      ]
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import os from "os";
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "sqlite";
+const { pool } = await import("@anclatechs/sql-buns");
+const { resolveLockTimeout, withConfig } = await import(
+  "../src/utils/config.js"
+);
+const { ConfigError, LockTimeoutError } = await import(
+  "../src/utils/errors.js"
+);
+const { acquireMigrationLock, unlockMigrations } = await import(
+  "../src/utils/lock.js"
+);
+const { HISTORY_TABLE } = await import("./helpers.mjs");
+
+const LOCK_TABLE = `${HISTORY_TABLE}_lock`;
+const withHistory = (fn) => withConfig({ historyTable: HISTORY_TABLE }, fn);
+
+describe("lock timeout", () => {
+  afterEach(() => {
+    delete process.env.BUNS_MIGRATE_LOCK_TIMEOUT;
+  });
+
+  it("keeps 0 and falls back to the environment, then 60", () => {
+    assert.equal(resolveLockTimeout(0), 0);
+    assert.equal(resolveLockTimeout("0"), 0);
+    assert.equal(resolveLockTimeout(), 60);
+
+    process.env.BUNS_MIGRATE_LOCK_TIMEOUT = "0";
+    assert.equal(resolveLockTimeout(), 0);
+    assert.equal(resolveLockTimeout("5"), 5);
+  });
+
+  it("rejects anything but a number of seconds", () => {
+    for (const value of ["abc", "-1", "", NaN, Infinity, -1]) {
+      assert.throws(() => resolveLockTimeout(value), ConfigError);
+    }
+
+    process.env.BUNS_MIGRATE_LOCK_TIMEOUT = "soon";
+    assert.throws(() => resolveLockTimeout(), /BUNS_MIGRATE_LOCK_TIMEOUT/);
+  });
+});
+
+describe("migration lock", () => {
+  afterEach(() => pool.run(`DELETE FROM ${LOCK_TABLE}`));
+
+  it("fails a second run while the lock is held", () =>
+    withHistory(async () => {
+      const release = await acquireMigrationLock({ timeout: 0 });
+      await assert.rejects(
+        acquireMigrationLock({ timeout: 0 }),
+        LockTimeoutError
+      );
+
+      await release();
+      const again = await acquireMigrationLock({ timeout: 0 });
+      await again();
+    }));
+
+  it("takes over a lock whose process is gone", () =>
+    withHistory(async () => {
+      // A first round creates the lock table
+      const first = await acquireMigrationLock({ timeout: 0 });
+      await first();
+      // Linux pids stay below 4194304, so this owner is never running
+      await pool.run(`INSERT INTO ${LOCK_TABLE} (id, owner) VALUES (1, ?)`, [
+        `${os.hostname()}:4194304`,
+      ]);
+
+      const release = await acquireMigrationLock({ timeout: 0 });
+      await release();
+    }));
+
+  it("unlock clears a held lock", () =>
+    withHistory(async () => {
+      await acquireMigrationLock({ timeout: 0 });
+      await unlockMigrations();
+
+      const release = await acquireMigrationLock({ timeout: 0 });
+      await release();
+    }));
+});
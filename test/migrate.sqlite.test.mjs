@@ -0,0 +1,697 @@
+import fs from "fs";
+import path from "path";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "sqlite";
+const { pool } = await import("@anclatechs/sql-buns");
+const { defineModel, Fields, Migrator } = await import("../src/dist/index.js");
+const { generateChecksum } = await import("../src/utils/generics.js");
+const { withConfig } = await import("../src/utils/config.js");
+const { withLogger } = await import("../src/utils/logger.js");
+const { migrateUp } = await import("../src/index.js");
+const { HISTORY_TABLE, createProject, removeProject, writeModels } =
+  await import("./helpers.mjs");
+
+async function columnsOf(table) {
+  const rows = await pool.all(`PRAGMA table_info(${table});`);
+  return rows.map((row) => row.name);
+}
+
+async function tableExists(table) {
+  const rows = await pool.all(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?;`,
+    [table]
+  );
+  return rows.length > 0;
+}
+
+function migratorFor(cwd) {
+  return new Migrator({ cwd, engine: "sqlite", historyTable: HISTORY_TABLE });
+}
+
+describe("table rename with column changes", () => {
+  const posts = (fields = {}, meta = {}) =>
+    defineModel(
+      "bt_posts",
+      {
+        id: { type: Fields.IntegerField, primaryKey: true },
+        title: { type: Fields.CharField, maxLength: 100 },
+        ...fields,
+      },
+      { meta: { tableName: "bt_posts", ...meta } }
+    );
+  const cwd = createProject({ posts: posts() });
+  const migrator = migratorFor(cwd);
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("renames the table back after undoing the column changes", async () => {
+    await migrator.create("posts");
+    await migrator.up();
+
+    writeModels(cwd, {
+      posts: defineModel(
+        "bt_articles",
+        {
+          id: { type: Fields.IntegerField, primaryKey: true },
+          title: { type: Fields.CharField, maxLength: 100 },
+          extra: { type: Fields.IntegerField, nullable: true },
+        },
+        { meta: { tableName: "bt_articles", renamedFrom: "bt_posts" } }
+      ),
+    });
+    await migrator.create("rename_posts");
+    await migrator.up();
+    assert.deepEqual(await columnsOf("bt_articles"), ["id", "title", "extra"]);
+
+    await migrator.down();
+    assert.equal(await tableExists("bt_articles"), false);
+    assert.deepEqual(await columnsOf("bt_posts"), ["id", "title"]);
+  });
+});
+
+describe("without a models file", () => {
+  const tags = defineModel(
+    "bt_tags",
+    { id: { type: Fields.IntegerField, primaryKey: true } },
+    { meta: { tableName: "bt_tags" } }
+  );
+  const cwd = createProject({ tags });
+  const migrator = migratorFor(cwd);
+
+  after(() => removeProject(cwd));
+
+  it("still runs status, verify, down, up and create --empty", async () => {
+    await migrator.create("tags");
+    await migrator.up();
+    fs.rmSync(path.join(cwd, "database", "models"), { recursive: true });
+
+    const { summary } = await migrator.status();
+    assert.equal(summary.applied, 1);
+    assert.equal((await migrator.verify()).valid, true);
+
+    const { rolledBack } = await migrator.down();
+    assert.equal(rolledBack.length, 1);
+    assert.equal(await tableExists("bt_tags"), false);
+
+    const { applied } = await migrator.up();
+    assert.equal(applied.length, 1);
+    assert.equal(
+      (await migrator.create("notes", { empty: true })).created,
+      true
+    );
+
+    await assert.rejects(migrator.create("more"), { code: "CONFIG_ERROR" });
+    await migrator.down({ all: true });
+  });
+});
+
+describe("engine", () => {
+  it("can't change once a Migrator has run", async () => {
+    const cwd = createProject({});
+    try {
+      await migratorFor(cwd).status();
+      const migrator = new Migrator({ cwd, engine: "postgres" });
+      await assert.rejects(migrator.status(), { code: "CONFIG_ERROR" });
+      assert.equal(process.env.DATABASE_ENGINE, "sqlite");
+    } finally {
+      removeProject(cwd);
+    }
+  });
+});
+
+describe("rollback files", () => {
+  const notes = defineModel(
+    "bt_notes",
+    { id: { type: Fields.IntegerField, primaryKey: true } },
+    { meta: { tableName: "bt_notes" } }
+  );
+  const cwd = createProject({ notes });
+  const warnings = [];
+  const migrator = new Migrator({
+    cwd,
+    engine: "sqlite",
+    historyTable: HISTORY_TABLE,
+    logger: { log() {}, warn: (message) => warnings.push(message), error() {} },
+  });
+
+  after(() => removeProject(cwd));
+
+  async function rollBackWith(down) {
+    const { files } = await migrator.create("notes");
+    // Before up(), which imports the module
+    fs.writeFileSync(files.js, down);
+    await migrator.up();
+    warnings.length = 0;
+    await migrator.down();
+    // Start the next case from an empty snapshot
+    fs.rmSync(path.join(cwd, "database", "migrations"), { recursive: true });
+    fs.mkdirSync(path.join(cwd, "database", "migrations"));
+  }
+
+  it("warns about down() without a db parameter", async () => {
+    await rollBackWith("export async function down() {}\n");
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /without a db parameter/);
+    await pool.exec("DROP TABLE bt_notes;");
+  });
+
+  it("accepts a db parameter with a default", async () => {
+    await rollBackWith(
+      "export async function down(db = null) {\n  await db.exec('DROP TABLE bt_notes;');\n}\n"
+    );
+    assert.deepEqual(warnings, []);
+    assert.equal(await tableExists("bt_notes"), false);
+  });
+});
+
+describe("CHECK constraints on SQLite", () => {
+  const events = (seats = {}) =>
+    defineModel(
+      "bt_events",
+      {
+        id: { type: Fields.IntegerField, primaryKey: true },
+        seats: { type: Fields.IntegerField, ...seats },
+      },
+      { meta: { tableName: "bt_events" } }
+    );
+  const cwd = createProject({ events: events() });
+  const migrator = migratorFor(cwd);
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("rebuilds the table to add a check and again to remove it", async () => {
+    await migrator.create("events");
+    await migrator.up();
+    await pool.run("INSERT INTO bt_events (id, seats) VALUES (1, 5);");
+
+    writeModels(cwd, { events: events({ check: "seats >= 0" }) });
+    await migrator.create("events_check", { assumeYes: true });
+    await migrator.up();
+    await assert.rejects(
+      pool.run("INSERT INTO bt_events (id, seats) VALUES (2, -1);"),
+      /CHECK constraint failed/
+    );
+
+    await migrator.down();
+    await pool.run("INSERT INTO bt_events (id, seats) VALUES (2, -1);");
+    const rows = await pool.all("SELECT id FROM bt_events ORDER BY id;");
+    assert.deepEqual(
+      rows.map((row) => row.id),
+      [1, 2]
+    );
+  });
+});
+
+describe("UNIQUE constraints on SQLite", () => {
+  const members = (email = {}, meta = {}) =>
+    defineModel(
+      "bt_members",
+      {
+        id: { type: Fields.IntegerField, primaryKey: true },
+        team: { type: Fields.IntegerField },
+        email: { type: Fields.CharField, maxLength: 100, ...email },
+      },
+      { meta: { tableName: "bt_members", ...meta } }
+    );
+  const cwd = createProject({ members: members({ unique: true }) });
+  const migrator = migratorFor(cwd);
+  const insert = (id, team) =>
+    pool.run(
+      "INSERT INTO bt_members (id, team, email) VALUES (?, ?, 'a@x.io');",
+      [id, team]
+    );
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("swaps a column constraint for a composite one and back", async () => {
+    await migrator.create("members");
+    await migrator.up();
+    await insert(1, 1);
+    await assert.rejects(insert(2, 2), /UNIQUE constraint failed/);
+
+    writeModels(cwd, {
+      members: members({}, { uniqueTogether: [["team", "email"]] }),
+    });
+    await migrator.create("members_per_team", { assumeYes: true });
+    await migrator.up();
+    await insert(2, 2);
+    await assert.rejects(insert(3, 2), /UNIQUE constraint failed/);
+
+    await pool.run("DELETE FROM bt_members WHERE id = 2;");
+    await migrator.down();
+    await assert.rejects(insert(2, 2), /UNIQUE constraint failed/);
+  });
+});
+
+describe("foreign keys on SQLite", () => {
+  const authors = defineModel(
+    "bt_authors",
+    {
+      id: { type: Fields.IntegerField, primaryKey: true, autoIncrement: true },
+    },
+    { meta: { tableName: "bt_authors" } }
+  );
+  const books = (author = {}) =>
+    defineModel(
+      "bt_books",
+      {
+        id: { type: Fields.IntegerField, primaryKey: true },
+        author_id: { type: Fields.IntegerField, nullable: true, ...author },
+      },
+      { meta: { tableName: "bt_books" } }
+    );
+  const cwd = createProject({ authors, books: books() });
+  const migrator = migratorFor(cwd);
+  const foreignKeys = async () =>
+    (await pool.all("PRAGMA foreign_key_list(bt_books);")).map(
+      ({ table, from, on_delete }) => ({ table, from, on_delete })
+    );
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("adds, changes and removes a reference", async () => {
+    await migrator.create("books");
+    await migrator.up();
+    await pool.run("INSERT INTO bt_books (id, author_id) VALUES (1, NULL);");
+
+    writeModels(cwd, {
+      authors,
+      books: books({
+        references: { model: "bt_authors", onDelete: "CASCADE" },
+      }),
+    });
+    await migrator.create("books_author", { assumeYes: true });
+    await migrator.up();
+    assert.deepEqual(await foreignKeys(), [
+      { table: "bt_authors", from: "author_id", on_delete: "CASCADE" },
+    ]);
+
+    writeModels(cwd, {
+      authors,
+      books: books({
+        references: { model: "bt_authors", onDelete: "SET NULL" },
+      }),
+    });
+    await migrator.create("books_author_set_null", { assumeYes: true });
+    await migrator.up();
+    assert.equal((await foreignKeys())[0].on_delete, "SET NULL");
+
+    await migrator.down();
+    assert.equal((await foreignKeys())[0].on_delete, "CASCADE");
+    await migrator.down();
+    assert.deepEqual(await foreignKeys(), []);
+    const rows = await pool.all("SELECT id FROM bt_books;");
+    assert.equal(rows.length, 1);
+  });
+});
+
+// One migration per table, each applied before the next is created
+async function createChain(cwd, migrator, tables, { downs = {} } = {}) {
+  const models = {};
+  const names = [];
+  for (const table of tables) {
+    models[table] = defineModel(
+      table,
+      { id: { type: Fields.IntegerField, primaryKey: true } },
+      { meta: { tableName: table } }
+    );
+    writeModels(cwd, models);
+    const { name, files } = await migrator.create(table);
+    // Before up(), which imports the module
+    if (downs[table]) fs.writeFileSync(files.js, downs[table]);
+    await migrator.up();
+    names.push(name);
+  }
+  return names;
+}
+
+describe("migrate --to", () => {
+  const cwd = createProject({});
+  const migrator = migratorFor(cwd);
+  let names;
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("rolls back to an earlier migration, newest first", async () => {
+    names = await createChain(cwd, migrator, ["bt_to_a", "bt_to_b", "bt_to_c"]);
+
+    const result = await migrator.to(names[0].split("_")[0]);
+    assert.deepEqual(result, {
+      target: names[0],
+      rolledBack: [names[2], names[1]],
+      applied: [],
+    });
+    assert.equal(await tableExists("bt_to_b"), false);
+    assert.equal(await tableExists("bt_to_a"), true);
+  });
+
+  it("applies the files up to a later migration", async () => {
+    const result = await migrator.to(names[1]);
+    assert.deepEqual(result.applied, [names[1]]);
+    assert.equal(await tableExists("bt_to_b"), true);
+    assert.equal(await tableExists("bt_to_c"), false);
+
+    // Other suites share the history table, so look at this chain only
+    const { migrations } = await migrator.status();
+    const states = names.map(
+      (name) => migrations.find((m) => m.name === name).state
+    );
+    assert.deepEqual(states, ["applied", "applied", "rolled_back"]);
+  });
+
+  it("does nothing when already there", async () => {
+    const result = await migrator.to(names[1]);
+    assert.deepEqual(result, { target: names[1], rolledBack: [], applied: [] });
+  });
+
+  it("rejects an unknown target", async () => {
+    await assert.rejects(migrator.to("1999_nothing"), {
+      code: "MIGRATION_STATE",
+    });
+  });
+});
+
+describe("down --steps", () => {
+  const cwd = createProject({});
+  const output = [];
+  const migrator = new Migrator({
+    cwd,
+    engine: "sqlite",
+    historyTable: HISTORY_TABLE,
+    logger: { log: (message) => output.push(message), warn() {}, error() {} },
+  });
+  // bt_steps_b can't be rolled back
+  const failingDown =
+    "export async function down() {\n  throw new Error('boom');\n}\n";
+  let names;
+
+  after(async () => {
+    try {
+      // Let later suites roll back past the broken migration
+      await pool.run(
+        `UPDATE ${HISTORY_TABLE} SET rolled_back = 1, direction = 'down' WHERE name = ?;`,
+        [names[1]]
+      );
+      await pool.exec("DROP TABLE IF EXISTS bt_steps_b;");
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("rejects a step count that isn't a positive integer", async () => {
+    await assert.rejects(migrator.down({ steps: 0 }), { code: "CONFIG_ERROR" });
+  });
+
+  it("rolls back only the given number of migrations", async () => {
+    names = await createChain(
+      cwd,
+      migrator,
+      ["bt_steps_a", "bt_steps_b", "bt_steps_c", "bt_steps_d"],
+      { downs: { bt_steps_b: failingDown } }
+    );
+
+    const { rolledBack } = await migrator.down({ steps: 1 });
+    assert.deepEqual(rolledBack, [names[3]]);
+    assert.equal(await tableExists("bt_steps_d"), false);
+    assert.equal(await tableExists("bt_steps_c"), true);
+  });
+
+  it("stops at a failing rollback and reports what was rolled back", async () => {
+    output.length = 0;
+    await assert.rejects(migrator.down({ all: true }), (err) => {
+      assert.equal(err.code, "ROLLBACK_FAILED");
+      assert.equal(err.file, names[1]);
+      assert.deepEqual(err.rolledBack, [names[2]]);
+      return true;
+    });
+
+    const summary = output.join("\n");
+    assert.match(summary, /Rollback summary/);
+    assert.match(summary, /1 older migration\(s\) left untouched/);
+    assert.equal(await tableExists("bt_steps_c"), false);
+    assert.equal(await tableExists("bt_steps_b"), true);
+    assert.equal(await tableExists("bt_steps_a"), true);
+  });
+});
+
+describe("stacked migrations", () => {
+  const shelf = (fields = {}) =>
+    defineModel(
+      "bt_shelves",
+      { id: { type: Fields.IntegerField, primaryKey: true }, ...fields },
+      { meta: { tableName: "bt_shelves" } }
+    );
+  const cwd = createProject({ shelf: shelf() });
+  const migrator = migratorFor(cwd);
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("records each migration with the checksum of its own snapshot", async () => {
+    const first = await migrator.create("shelves");
+    writeModels(cwd, {
+      shelf: shelf({ label: { type: Fields.CharField, maxLength: 20 } }),
+    });
+    const second = await migrator.create("shelf_label", { stack: true });
+    const { applied } = await migrator.up();
+    assert.deepEqual(applied, [first.name, second.name]);
+
+    const rows = await pool.all(
+      `SELECT name, checksum FROM ${HISTORY_TABLE} WHERE name IN (?, ?) ORDER BY name;`,
+      [first.name, second.name]
+    );
+    const snapshotChecksum = ({ files }) =>
+      generateChecksum(JSON.parse(fs.readFileSync(files.snapshot, "utf-8")));
+    assert.deepEqual(
+      rows.map((row) => row.checksum),
+      [snapshotChecksum(first), snapshotChecksum(second)]
+    );
+    assert.notEqual(rows[0].checksum, rows[1].checksum);
+
+    const { migrations } = await migrator.status();
+    for (const { name } of [first, second]) {
+      assert.equal(migrations.find((m) => m.name === name).checksumMatch, true);
+    }
+  });
+});
+
+describe("empty migrations", () => {
+  const crates = (fields = {}) =>
+    defineModel(
+      "bt_crates",
+      { id: { type: Fields.IntegerField, primaryKey: true }, ...fields },
+      { meta: { tableName: "bt_crates" } }
+    );
+  const cwd = createProject({
+    crates: crates({ age: { type: Fields.IntegerField, nullable: true } }),
+  });
+  const migrator = migratorFor(cwd);
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("keep their checksum once later migrations change the snapshot", async () => {
+    await migrator.create("crates");
+    await migrator.up();
+
+    const backfill = await migrator.create("backfill", { empty: true });
+    await migrator.up();
+
+    writeModels(cwd, { crates: crates() });
+    await migrator.create("drop_age");
+
+    const { migrations } = await migrator.status();
+    const row = migrations.find((m) => m.name === backfill.name);
+    assert.equal(row.state, "applied");
+    assert.equal(row.checksumMatch, true);
+  });
+});
+
+describe("up --dry-run", () => {
+  const lamps = defineModel(
+    "bt_lamps",
+    { id: { type: Fields.IntegerField, primaryKey: true } },
+    { meta: { tableName: "bt_lamps" } }
+  );
+  const cwd = createProject({ lamps });
+  const migrator = migratorFor(cwd);
+  const output = [];
+  const inProject = (fn) =>
+    withConfig({ cwd, historyTable: HISTORY_TABLE }, () =>
+      withLogger(
+        { log: (message) => output.push(message), warn() {}, error() {} },
+        fn
+      )
+    );
+  const historyRows = (name) =>
+    pool.all(`SELECT name FROM ${HISTORY_TABLE} WHERE name = ?;`, [name]);
+
+  after(() => removeProject(cwd));
+
+  it("prints the pending SQL and bookkeeping without running it", async () => {
+    const { name } = await migrator.create("lamps");
+
+    const { applied, pending, sql } = await inProject(() =>
+      migrateUp({ dryRun: true })
+    );
+    assert.deepEqual(applied, []);
+    assert.deepEqual(pending, [name]);
+    assert.match(sql, /^-- Dry run generated by/);
+    assert.match(
+      sql,
+      new RegExp(`-- >>> Migration: ${name}\nBEGIN TRANSACTION;`)
+    );
+    assert.match(sql, /CREATE TABLE IF NOT EXISTS "?bt_lamps"? \(/);
+    assert.match(
+      sql,
+      new RegExp(
+        `INSERT INTO ${HISTORY_TABLE} \\(name, checksum, file_checksum, direction, rolled_back\\) VALUES \\('${name}'`
+      )
+    );
+    assert.match(sql, /COMMIT;\n$/);
+    assert.ok(output.includes(sql), "the SQL is printed");
+
+    assert.equal(await tableExists("bt_lamps"), false);
+    assert.deepEqual(await historyRows(name), []);
+  });
+
+  it("writes the same SQL to --sql-out", async () => {
+    const sqlOut = path.join(cwd, "pending.sql");
+    const { sql } = await inProject(() => migrateUp({ sqlOut }));
+
+    assert.equal(fs.readFileSync(sqlOut, "utf-8"), sql);
+    assert.equal(await tableExists("bt_lamps"), false);
+    const { migrations } = await migrator.status();
+    assert.equal(
+      migrations.find((m) => m.name.endsWith("_lamps.sql")).state,
+      "pending"
+    );
+  });
+});
+
+describe("hand-written migrations", () => {
+  const racks = defineModel(
+    "bt_racks",
+    { id: { type: Fields.IntegerField, primaryKey: true } },
+    { meta: { tableName: "bt_racks" } }
+  );
+  const cwd = createProject({ racks });
+  const migrator = migratorFor(cwd);
+  const snapshotFile = path.join(
+    cwd,
+    "database",
+    "migrations",
+    "schema_snapshot.json"
+  );
+
+  // Written before `up()` imports them: ESM caches the first version
+  const writePair = ({ files }, sql, up, down = "") => {
+    fs.writeFileSync(files.sql, sql);
+    fs.writeFileSync(
+      files.js,
+      `export async function up(db) {\n${up}\n}\nexport async function down(db) {\n${down}\n}\n`
+    );
+  };
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("leave the schema snapshot untouched", async () => {
+    await migrator.create("racks");
+    await migrator.up();
+    const snapshot = fs.readFileSync(snapshotFile, "utf-8");
+
+    const { files } = await migrator.create("fill_racks", { empty: true });
+    assert.equal(fs.readFileSync(snapshotFile, "utf-8"), snapshot);
+    assert.equal(fs.readFileSync(files.snapshot, "utf-8"), snapshot);
+    fs.rmSync(files.sql);
+    fs.rmSync(files.js);
+    fs.rmSync(files.snapshot);
+  });
+
+  it("roll the SQL back when up(db) fails", async () => {
+    const failing = await migrator.create("jobs_failing", { empty: true });
+    writePair(
+      failing,
+      "CREATE TABLE bt_jobs (id INTEGER PRIMARY KEY);",
+      `  await db.run("INSERT INTO bt_jobs (id) VALUES (1)");\n  throw new Error("backfill failed");`
+    );
+
+    await assert.rejects(migrator.up(), /backfill failed/);
+    assert.equal(await tableExists("bt_jobs"), false);
+    const rows = await pool.all(
+      `SELECT name FROM ${HISTORY_TABLE} WHERE name = ?;`,
+      [failing.name]
+    );
+    assert.deepEqual(rows, []);
+
+    for (const file of Object.values(failing.files)) fs.rmSync(file);
+  });
+
+  it("commit up(db) together with the SQL", async () => {
+    const jobs = await migrator.create("jobs", { empty: true });
+    writePair(
+      jobs,
+      "CREATE TABLE bt_jobs (id INTEGER PRIMARY KEY);",
+      `  await db.run("INSERT INTO bt_jobs (id) VALUES (1)");`,
+      `  await db.exec("DROP TABLE bt_jobs;");`
+    );
+
+    const { applied } = await migrator.up();
+    assert.deepEqual(applied, [jobs.name]);
+    const rows = await pool.all("SELECT id FROM bt_jobs;");
+    assert.deepEqual(
+      rows.map((row) => row.id),
+      [1]
+    );
+  });
+});
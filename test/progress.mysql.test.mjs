@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { withConfig } from "../src/utils/config.js";
+import { causesImplicitCommitOnMySQL } from "../src/utils/generics.js";
+import { splitSqlStatements } from "../src/utils/sqlSplitter.js";
+import {
+  committedStatementsChecksum,
+  getMigrationProgress,
+  migrationProgressTableExists,
+} from "../src/utils/progress.js";
+
+/**
+ * Stands in for a mysql2 connection: records each query and answers with
+ * `rows` in mysql2's `[rows, fields]` shape
+ */
+function fakeConnection(rows = []) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return [rows, []];
+    },
+  };
+}
+
+const MIGRATION = `CREATE TABLE posts (id INT PRIMARY KEY, body TEXT);
+INSERT INTO posts (id, body) VALUES (1, 'a; b');
+CREATE TRIGGER trg_posts BEFORE INSERT ON posts FOR EACH ROW
+BEGIN
+  SET NEW.body = TRIM(NEW.body);
+END;
+ALTER TABLE posts ADD COLUMN title VARCHAR(20);
+`;
+
+describe("MySQL progress", () => {
+  it("splits a migration the way --resume counts it", () => {
+    const statements = splitSqlStatements(MIGRATION, "mysql");
+    assert.deepEqual(
+      statements.map(({ index, line }) => [index, line]),
+      [
+        [1, 1],
+        [2, 2],
+        [3, 3],
+        [4, 7],
+      ]
+    );
+    assert.match(statements[2].text, /^CREATE TRIGGER[\s\S]*END;?$/);
+  });
+
+  it("only lets statements after the committed ones change", () => {
+    const committed = splitSqlStatements(MIGRATION, "mysql").slice(0, 3);
+    const checksum = committedStatementsChecksum(committed);
+
+    const fixedLast = MIGRATION.replace("VARCHAR(20)", "VARCHAR(40)");
+    assert.equal(
+      committedStatementsChecksum(
+        splitSqlStatements(fixedLast, "mysql").slice(0, 3)
+      ),
+      checksum
+    );
+
+    const editedFirst = MIGRATION.replace("body TEXT", "body LONGTEXT");
+    assert.notEqual(
+      committedStatementsChecksum(
+        splitSqlStatements(editedFirst, "mysql").slice(0, 3)
+      ),
+      checksum
+    );
+  });
+
+  it("spots the statements MySQL commits implicitly", () => {
+    const [create, insert, trigger, alter] = splitSqlStatements(
+      MIGRATION,
+      "mysql"
+    );
+    for (const statement of [create, trigger, alter]) {
+      assert.equal(causesImplicitCommitOnMySQL(statement.text), true);
+    }
+    assert.equal(causesImplicitCommitOnMySQL(insert.text), false);
+    assert.equal(
+      causesImplicitCommitOnMySQL("-- backfill\nUPDATE posts SET body = '';"),
+      false
+    );
+    assert.equal(
+      causesImplicitCommitOnMySQL("/* note */ DROP TABLE posts;"),
+      true
+    );
+  });
+
+  it("looks for the progress table without creating it", async () => {
+    const connection = fakeConnection([]);
+    assert.equal(await migrationProgressTableExists(connection), false);
+    assert.equal(connection.queries.length, 1);
+    assert.match(connection.queries[0].sql, /^SELECT .* information_schema/);
+    assert.deepEqual(connection.queries[0].params, [
+      null,
+      "_sqlbuns_migration_progress",
+    ]);
+  });
+
+  it("names the progress table after a custom history table", () =>
+    withConfig({ historyTable: "svc_migrations" }, async () => {
+      const connection = fakeConnection([
+        { name: "1_a.sql", statements_done: 2 },
+      ]);
+      const progress = await getMigrationProgress(connection, "1_a.sql");
+      assert.equal(progress.statements_done, 2);
+      assert.match(
+        connection.queries[0].sql,
+        /FROM svc_migrations_progress WHERE name = \?/
+      );
+    }));
+});
@@ -0,0 +1,46 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { withConfig } from "../src/utils/config.js";
+import { ConfigError } from "../src/utils/errors.js";
+import { loadRenamesFile, parseRenameSpecs } from "../src/utils/renames.js";
+
+describe("rename answers", () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "buns-migrate-"));
+
+  after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+  it("parses --renames specs", () => {
+    assert.deepEqual(parseRenameSpecs(["users.phone:mobile", "users.code:"]), [
+      { table: "users", old: "phone", new: "mobile" },
+      { table: "users", old: "code", new: null },
+    ]);
+  });
+
+  it("rejects malformed specs with a ConfigError", () => {
+    assert.throws(() => parseRenameSpecs(["users.phone"]), ConfigError);
+  });
+
+  it("rejects missing or invalid renames files with a ConfigError", () => {
+    const file = path.join(cwd, "renames.json");
+    assert.throws(() => loadRenamesFile(file), ConfigError);
+
+    fs.writeFileSync(file, "{ users: ");
+    assert.throws(() => loadRenamesFile(file), ConfigError);
+  });
+
+  it("reads a relative renames file from the project root", async () => {
+    fs.writeFileSync(
+      path.join(cwd, "renames.json"),
+      JSON.stringify({ users: { phone: "mobile" } })
+    );
+    const renames = await withConfig({ cwd }, () =>
+      loadRenamesFile("renames.json")
+    );
+    assert.deepEqual(renames, [
+      { table: "users", old: "phone", new: "mobile" },
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { splitSqlStatements } from "../src/utils/sqlSplitter.js";
+import { buildMigrationModule } from "../src/utils/migrationTemplate.js";
+
+const texts = (sql, dialect) =>
+  splitSqlStatements(sql, dialect).map((statement) => statement.text);
+
+describe("SQL splitter", () => {
+  it("keeps Postgres $$ and $tag$ bodies whole", () => {
+    const sql = `CREATE FUNCTION touch() RETURNS trigger AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DO $body$ BEGIN PERFORM 1; PERFORM '$$'; END $body$;
+SELECT 1;`;
+    const statements = texts(sql, "postgres");
+    assert.equal(statements.length, 3);
+    assert.match(statements[0], /^CREATE FUNCTION[\s\S]*LANGUAGE plpgsql;$/);
+    assert.equal(
+      statements[1],
+      "DO $body$ BEGIN PERFORM 1; PERFORM '$$'; END $body$;"
+    );
+    assert.equal(statements[2], "SELECT 1;");
+  });
+
+  it("ignores semicolons in comments and drops leading ones", () => {
+    const sql = `-- setup; nothing to see
+CREATE TABLE a (id INT); -- trailing; comment
+/* block;
+   comment */
+INSERT INTO a VALUES (1) /* inline; */;
+# MySQL comment; too
+SELECT 1;`;
+    const statements = splitSqlStatements(sql, "mysql");
+    assert.deepEqual(
+      statements.map(({ index, line, text }) => [index, line, text]),
+      [
+        [1, 2, "CREATE TABLE a (id INT);"],
+        [2, 5, "INSERT INTO a VALUES (1) /* inline; */;"],
+        [3, 7, "SELECT 1;"],
+      ]
+    );
+  });
+
+  it("keeps a SQLite trigger's BEGIN ... END block whole", () => {
+    const sql = `CREATE TRIGGER trg_a AFTER INSERT ON a
+BEGIN
+  UPDATE b SET n = n + 1;
+  INSERT INTO log VALUES ('a');
+END;
+BEGIN TRANSACTION;
+COMMIT;`;
+    const statements = texts(sql, "sqlite");
+    assert.equal(statements.length, 3);
+    assert.match(statements[0], /^CREATE TRIGGER[\s\S]*END;$/);
+    assert.equal(statements[1], "BEGIN TRANSACTION;");
+    assert.equal(statements[2], "COMMIT;");
+  });
+
+  it("doesn't mistake CASE ... END for the end of a block", () => {
+    const sql = `UPDATE a SET label = CASE WHEN n > 1 THEN 'many' ELSE 'one' END;
+CREATE TRIGGER trg_b BEFORE INSERT ON a FOR EACH ROW
+BEGIN
+  SET NEW.label = CASE NEW.n WHEN 1 THEN 'one' ELSE 'many' END;
+  IF NEW.n > 9 THEN SET NEW.n = 9; END IF;
+END;
+SELECT 1;`;
+    const statements = texts(sql, "mysql");
+    assert.equal(statements.length, 3);
+    assert.match(statements[0], /^UPDATE a[\s\S]*END;$/);
+    assert.match(statements[1], /^CREATE TRIGGER[\s\S]*END IF;\nEND;$/);
+    assert.equal(statements[2], "SELECT 1;");
+  });
+
+  it("ignores semicolons inside quotes", () => {
+    assert.deepEqual(
+      texts(
+        `INSERT INTO a VALUES ('x;y', "z;", 'it''s; ok'); SELECT 1;`,
+        "sqlite"
+      ),
+      [`INSERT INTO a VALUES ('x;y', "z;", 'it''s; ok');`, "SELECT 1;"]
+    );
+    assert.deepEqual(
+      texts("INSERT INTO `a;b` VALUES ('it\\'s; ok'); SELECT 1;", "mysql"),
+      ["INSERT INTO `a;b` VALUES ('it\\'s; ok');", "SELECT 1;"]
+    );
+    assert.deepEqual(
+      texts("INSERT INTO a VALUES (E'it\\'s; ok'); SELECT 1;", "postgres"),
+      ["INSERT INTO a VALUES (E'it\\'s; ok');", "SELECT 1;"]
+    );
+  });
+});
+
+describe("generated down()", () => {
+  it("runs the reverse SQL one statement at a time", async () => {
+    process.env.DATABASE_ENGINE = "mysql";
+    const source = buildMigrationModule({
+      filename: "1_a.sql",
+      reverseSQL: "DROP TABLE `a`;\nALTER TABLE b DROP COLUMN `c;d`;",
+      version: "test",
+    });
+    const { down } = await import(
+      `data:text/javascript,${encodeURIComponent(source)}`
+    );
+
+    const queries = [];
+    await down({ query: async (sql) => queries.push(sql) });
+    assert.deepEqual(queries, [
+      "DROP TABLE `a`;",
+      "ALTER TABLE b DROP COLUMN `c;d`;",
+    ]);
+  });
+});
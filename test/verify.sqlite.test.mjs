@@ -0,0 +1,111 @@
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// The diff engine reads DATABASE_ENGINE once, when it is first imported
+process.env.DATABASE_ENGINE = "sqlite";
+const { defineModel, Fields, Migrator } = await import("../src/dist/index.js");
+const { HISTORY_TABLE, createProject, removeProject } = await import(
+  "./helpers.mjs"
+);
+
+const distUrl = new URL("../src/dist/index.js", import.meta.url).href;
+const binPath = new URL("../bin/buns-migrate.js", import.meta.url).pathname;
+
+const model = (table) =>
+  defineModel(
+    table,
+    { id: { type: Fields.IntegerField, primaryKey: true } },
+    { meta: { tableName: table } }
+  );
+
+describe("verify", () => {
+  const cwd = createProject({ crates: model("bt_v_crates") });
+  const migrator = new Migrator({
+    cwd,
+    engine: "sqlite",
+    historyTable: HISTORY_TABLE,
+  });
+  const statusOf = async (name) =>
+    (await migrator.verify()).migrations.find((m) => m.name === name)?.status;
+  let applied;
+
+  after(async () => {
+    try {
+      await migrator.down({ all: true });
+    } finally {
+      removeProject(cwd);
+    }
+  });
+
+  it("flags an applied file edited on disk", async () => {
+    applied = await migrator.create("crates");
+    const { name, files } = applied;
+    await migrator.up();
+    assert.equal(await statusOf(name), "ok");
+
+    const original = fs.readFileSync(files.sql, "utf-8");
+    fs.appendFileSync(files.sql, "\n-- tweaked after the fact\n");
+    assert.equal((await migrator.verify()).valid, false);
+    assert.equal(await statusOf(name), "modified");
+
+    fs.writeFileSync(files.sql, original);
+    assert.equal(await statusOf(name), "ok");
+  });
+
+  it("flags an applied file that is gone", async () => {
+    const { name, files } = applied;
+    const original = fs.readFileSync(files.sql, "utf-8");
+
+    fs.rmSync(files.sql);
+    assert.equal((await migrator.verify()).valid, false);
+    assert.equal(await statusOf(name), "missing");
+
+    fs.writeFileSync(files.sql, original);
+  });
+});
+
+describe("buns-migrate verify", () => {
+  const cwd = createProject({ crates: model("bt_v_boxes") });
+  fs.writeFileSync(
+    path.join(cwd, "buns-migrate.config.js"),
+    `module.exports = { historyTable: "${HISTORY_TABLE}" };\n`
+  );
+
+  after(() => removeProject(cwd));
+
+  // Applies a migration, edits it, then runs the CLI in that same process,
+  // so it sees the same database
+  const script = `
+    const { Migrator } = await import(${JSON.stringify(distUrl)});
+    const migrator = new Migrator({
+      cwd: ${JSON.stringify(cwd)},
+      engine: "sqlite",
+      historyTable: ${JSON.stringify(HISTORY_TABLE)},
+      logger: false,
+    });
+    const { files } = await migrator.create("boxes");
+    await migrator.up();
+    (await import("fs")).appendFileSync(files.sql, "\\n-- edited\\n");
+    process.argv = [process.argv[0], ${JSON.stringify(
+      binPath
+    )}, "--cwd", ${JSON.stringify(cwd)}, "verify"];
+    await import(${JSON.stringify(binPath)});
+  `;
+
+  it("exits with code 1 when a file was modified", () => {
+    const child = spawnSync(
+      process.execPath,
+      ["--input-type=module", "-e", script],
+      {
+        env: { ...process.env, DATABASE_ENGINE: "sqlite" },
+        encoding: "utf-8",
+        timeout: 60000,
+      }
+    );
+    assert.equal(child.status, 1, child.stderr);
+    assert.match(child.stdout, /_boxes\.sql \(changed on disk/);
+  });
+});